@@ -1,742 +1,423 @@
-const { spawn } = require('child_process');
-const fs = require('fs');
+// Max adapter for the transcription engine in lib/engine.js: turns messages into engine calls
+// and forwards the engine's console text and outlet messages to Max. transcribe.js runs the same
+// engine from the command line.
 const path = require('path');
 const Max = require('max-api');
+const { BasicPitchEngine, PARAMETER_SCHEMA } = require('./lib/engine');
 
-class BasicPitchServer {
-    constructor() {
-        this.daemonProcess = null;
-        this.daemonReady = false;
-        this.pendingRequests = new Map();
-        this.processedMidiFiles = new Set(); // Track processed MIDI files to prevent duplicates
-        this.requestCounter = 0;
-        
-        // Bind methods to preserve 'this' context
-        this.processAudioFile = this.processAudioFile.bind(this);
-        this.handleDaemonOutput = this.handleDaemonOutput.bind(this);
-        this.preprocessAudioFile = this.preprocessAudioFile.bind(this);
-        
-        // Start the daemon
-        this.startDaemon();
-        
-        // Set up Max API handlers
-        this.setupMaxHandlers();
-        
-        // Set up periodic cleanup of stale requests
-        this.setupCleanupTimer();
-        
-        // Handle graceful shutdown
-        process.on('SIGINT', this.shutdown.bind(this));
-        process.on('SIGTERM', this.shutdown.bind(this));
-        
-        // Handle uncaught exceptions to prevent crashes
-        process.on('uncaughtException', (error) => {
-            Max.post(`❌ Uncaught exception: ${error.message}`);
-            Max.post(`Stack trace: ${error.stack}`);
-            Max.outlet('error', `Uncaught exception: ${error.message}`);
-        });
-        
-        // Handle unhandled promise rejections
-        process.on('unhandledRejection', (reason, promise) => {
-            Max.post(`❌ Unhandled promise rejection: ${reason}`);
-            Max.outlet('error', `Unhandled promise rejection: ${reason}`);
-        });
-    }
-
-    setupCleanupTimer() {
-        // Clean up stale requests every 20 seconds
-        setInterval(() => {
-            const now = Date.now();
-            const staleRequests = [];
-            
-            for (const [filePath, requestInfo] of this.pendingRequests.entries()) {
-                const age = now - requestInfo.startTime;
-                if (age > 20000) { // 20 seconds for periodic cleanup
-                    staleRequests.push(filePath);
-                }
-            }
-            
-            for (const filePath of staleRequests) {
-                const requestInfo = this.pendingRequests.get(filePath);
-                const fileName = path.basename(filePath);
-                
-                Max.post(`🧹 Auto-cleanup stale request: ${fileName} (${Math.round((now - requestInfo.startTime)/1000)}s old)`);
-                
-                // Cleanup any temp file if it exists
-                if (requestInfo.cleanupFile && fs.existsSync(requestInfo.cleanupFile)) {
-                    fs.unlinkSync(requestInfo.cleanupFile);
-                    Max.post(`🗑️ Cleaned up stale temp file: ${path.basename(requestInfo.cleanupFile)}`);
-                }
-                
-                this.pendingRequests.delete(filePath);
-            }
-        }, 20000); // Run every 20 seconds
-    }
-
-    setupMaxHandlers() {
-        // Handler for processing audio files
-        Max.addHandler('path', (audioPath) => {
-            if (!audioPath) {
-                Max.post('Error: No audio path provided');
-                Max.outlet('error', 'No audio path provided');
-                return;
-            }
-            
-            Max.post(`Received path: ${audioPath}`);
-            
-            // Wrap async call in try-catch to prevent process crashes
-            this.processAudioFile(audioPath).catch(error => {
-                Max.post(`❌ Error in processAudioFile: ${error.message}`);
-                Max.outlet('error', `Processing error: ${error.message}`, audioPath);
-            });
-        });
-        
-        // Handler for processing with preprocessing
-        Max.addHandler('preprocess', (audioPath) => {
-            if (!audioPath) {
-                Max.post('Error: No audio path provided');
-                Max.outlet('error', 'No audio path provided');
-                return;
-            }
-                    
-            // Wrap async call in try-catch to prevent process crashes
-            this.processAudioFile(audioPath, null, true).catch(error => {
-                Max.post(`❌ Error in processAudioFile (preprocess): ${error.message}`);
-                Max.outlet('error', `Preprocessing error: ${error.message}`, audioPath);
-            });
-        });
-        
-        // Handler for checking daemon status
-        Max.addHandler('status', () => {
-            const status = this.daemonReady ? 'ready' : 'not ready';
-            Max.post(`Daemon status: ${status}`);
-            Max.outlet('status', status);
-        });
-        
-        // Handler for getting pending requests count
-        Max.addHandler('pending', () => {
-            const count = this.pendingRequests.size;
-            Max.post(`Pending requests: ${count}`);
-            Max.outlet('pending', count);
-        });
-        
-        // Bang handler for general info
-        Max.addHandler('bang', () => {
-            const status = this.daemonReady ? 'ready' : 'initializing';
-            const pending = this.pendingRequests.size;
-            Max.post(`BasicPitch Server - Status: ${status}, Pending: ${pending}`);
-            Max.outlet('info', status, pending);
-        });
-
-        // Handler for setting parameters and restarting daemon
-        Max.addHandler('flags', (...args) => {
-            try {
-                // Remove the first argument which is the message name
-                const paramList = args.slice(0);
-                
-                Max.post(`📝 Received flags: ${JSON.stringify(paramList)}`);
-                
-                // Parse and validate the parameters
-                const flags = this.parseMaxListToFlags(paramList);
-                
-                if (flags.length === 0) {
-                    Max.post('📝 No parameters provided, using default settings');
-                    return;
-                }
-                
-                Max.post(`✅ Parsed flags: ${flags.join(' ')}`);
-                
-                // Restart daemon with new parameters
-                this.restartDaemonWithFlags(flags);
-                
-            } catch (error) {
-                Max.post(`❌ Flags error: ${error.message}`);
-                Max.outlet('flags_error', error.message);
-            }
-        });
+const server = new BasicPitchEngine();
+// Warnings and errors keep their severity in the Max console; debug and trace post as info
+const POST_LEVELS = { error: Max.POST_LEVELS.ERROR, warn: Max.POST_LEVELS.WARN };
+server.on('post', (message, level) => Max.post(message, POST_LEVELS[level] || Max.POST_LEVELS.INFO));
+server.on('outlet', (...args) => Max.outlet(...args));
+
+// Handler for processing audio files
+// path <audio_file> [export <format>] [<preprocess option> <value>]...
+Max.addHandler('path', (audioPath, ...options) => {
+    if (!audioPath) {
+        server.reportError('INVALID_ARGUMENT', 'No audio path provided');
+        return;
     }
     
-    startDaemon(flags = []) {
-        // Prevent starting multiple daemons
-        if (this.daemonProcess) {
-            Max.post(`⚠️ Daemon already running. Use stopDaemon() first if restart needed.`);
-            return;
-        }
-        
-        const cliPath = path.join(__dirname, 'basic-pitch-cli', 'basicpitch_daemon');
-        const tempDir = path.join(__dirname, 'temp-midi');
-        
-        // Create temp directory if it doesn't exist
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-        }
-        
-        // Build command arguments
-        const args = ['--daemon', tempDir, ...flags];
-        
-        console.log('Starting BasicPitch daemon...');
-        console.log(`Command: ${cliPath} ${args.join(' ')}`);
-        this.daemonProcess = spawn(cliPath, args);
-        
-        this.daemonProcess.stdout.on('data', (data) => {
-            const output = data.toString().trim();
-            // Max.post(`Daemon: ${output}`);
-            
-            if (output.includes('Ready for commands')) {
-                this.daemonReady = true;
-                Max.post('✅ BasicPitch daemon is ready for processing');
-                Max.outlet('daemon_ready');
-            } else {
-                this.handleDaemonOutput(output);
-            }
-        });
-        
-        this.daemonProcess.stderr.on('data', (data) => {
-            const error = data.toString().trim();
-            
-            // Filter out noisy ONNX schema registration warnings
-            if (error.includes('Schema error') ||
-                error.includes('but it is already registered from file')) {
-                // These are harmless ONNX Runtime warnings, suppress them
-                return;
-            }
-            
-            // Only log actual errors that matter
-            if (error && error.length > 0) {
-                Max.post(`Daemon error: ${error}`);
-            }
-        });
-        
-        this.daemonProcess.on('close', (code) => {
-            Max.post(`Daemon exited with code ${code}`);
-            Max.outlet('daemon_closed', code);
-            this.daemonReady = false;
-            this.daemonProcess = null;
-            
-            // Clear any pending requests since daemon is dead
-            this.pendingRequests.clear();
-            
-            // Don't automatically restart - let explicit calls handle restart
-            Max.post(`🛑 Daemon stopped. Use 'flags' command or send new file to restart.`);
-        });
-        
-        this.daemonProcess.on('error', (error) => {
-            Max.post(`Failed to start daemon: ${error.message}`);
-            Max.outlet('daemon_start_error', error.message);
-            this.daemonReady = false;
-        });
-    }
-
-    // Stop the current daemon if running
-    stopDaemon() {
-        return new Promise((resolve) => {
-            if (this.daemonProcess) {
-                Max.post('🛑 Stopping current daemon...');
-                
-                // Set up cleanup when process closes
-                this.daemonProcess.once('close', () => {
-                    this.daemonReady = false;
-                    this.daemonProcess = null;
-                    Max.post('✅ Daemon stopped');
-                    resolve();
-                });
-                
-                // Send quit command and kill if necessary
-                this.daemonProcess.stdin.write('quit\n');
-                
-                // Force kill after timeout
-                setTimeout(() => {
-                    if (this.daemonProcess) {
-                        this.daemonProcess.kill('SIGKILL');
-                    }
-                }, 3000);
-            } else {
-                resolve();
-            }
-        });
-    }
-
-    // Restart daemon with new flags
-    async restartDaemonWithFlags(flags) {
-        Max.post('🔄 Restarting daemon with new parameters...');
-        
-        try {
-            // Stop current daemon
-            await this.stopDaemon();
-            
-            // Start daemon with new flags
-            this.startDaemon(flags);
-            
-            Max.post('✅ Daemon restart initiated');
-            Max.outlet('daemon_restarting');
-            Max.outlet('flags_applied', flags.join(' '));
+    server.post(`Received path: ${audioPath}`, 'debug');
+    
+    let requestOptions;
+    try {
+        requestOptions = server.parseRequestOptions(options);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT', { file: audioPath });
+        return;
+    }
+    
+    // Wrap async call in try-catch to prevent process crashes
+    server.processAudioFile(audioPath, null, false, requestOptions).catch(error => {
+        server.reportException(error, 'INTERNAL', { file: audioPath });
+    });
+});
+
+// Handler for processing with preprocessing
+// preprocess <audio_file> [start <s>] [end <s>] [region <a-b>] [channel <ch>] [normalize <dB>] [filter <type>]...
+Max.addHandler('preprocess', (audioPath, ...options) => {
+    if (!audioPath) {
+        server.reportError('INVALID_ARGUMENT', 'No audio path provided');
+        return;
+    }
+    
+    let requestOptions;
+    try {
+        requestOptions = server.parseRequestOptions(options);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT', { file: audioPath });
+        return;
+    }
             
-        } catch (error) {
-            Max.post(`❌ Error restarting daemon: ${error.message}`);
-            Max.outlet('daemon_restart_error', error.message);
-        }
+    // Wrap async call in try-catch to prevent process crashes
+    server.processAudioFile(audioPath, null, true, requestOptions).catch(error => {
+        server.reportException(error, 'INTERNAL', { file: audioPath });
+    });
+});
+
+// Handler for checking daemon status
+Max.addHandler('status', () => {
+    const health = server.getDaemonHealth();
+    Max.post(`Daemon status: ${health.state} (restarts: ${health.restarts}, last exit code: ${health.last_exit_code})`);
+    Max.outlet('status', health);
+});
+
+// Handler for long-file mode: chunking <threshold_s> [length_s] [overlap_s], chunking 0 = off
+Max.addHandler('chunking', (threshold, length, overlap) => {
+    try {
+        server.setChunking(threshold, length, overlap);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
     }
+});
 
-    // Validate parameter values according to CLI specification
-    validateParameter(key, value) {
-        const validations = {
-            'onset-threshold': {
-                min: 0.0,
-                max: 1.0,
-                type: 'number',
-                description: 'Onset threshold (higher = fewer onsets detected)'
-            },
-            'frame-threshold': {
-                min: 0.0,
-                max: 1.0,
-                type: 'number',
-                description: 'Frame threshold (higher = fewer notes detected)'
-            },
-            'min-frequency': {
-                min: 20.0,
-                max: 8000.0,
-                type: 'number',
-                description: 'Minimum frequency in Hz'
-            },
-            'max-frequency': {
-                min: 20.0,
-                max: 8000.0,
-                type: 'number',
-                description: 'Maximum frequency in Hz'
-            },
-            'min-note-length': {
-                min: 0.01,
-                max: 10.0,
-                type: 'number',
-                description: 'Minimum note length in seconds'
-            },
-            'tempo-bpm': {
-                min: 60.0,
-                max: 200.0,
-                type: 'number',
-                description: 'Tempo in BPM for beat tracking'
-            },
-            'use-melodia-trick': {
-                type: 'boolean',
-                description: 'Use melodia trick for better pitch tracking'
-            },
-            'include-pitch-bends': {
-                type: 'boolean',
-                description: 'Include pitch bends in MIDI output'
-            }
-        };
-
-        const validation = validations[key];
-        if (!validation) {
-            throw new Error(`Unknown parameter: ${key}`);
-        }
+// Handler for setting how long new requests wait for the daemon to become ready
+Max.addHandler('readytimeout', (ms) => {
+    try {
+        server.setReadyTimeout(ms);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
 
-        if (validation.type === 'number') {
-            const numValue = parseFloat(value);
-            if (isNaN(numValue)) {
-                throw new Error(`${key}: Value must be a number`);
-            }
-            if (numValue < validation.min || numValue > validation.max) {
-                throw new Error(`${key}: Value ${numValue} out of range [${validation.min}, ${validation.max}]`);
-            }
-            return numValue;
-        } else if (validation.type === 'boolean') {
-            if (value === true || value === 'true' || value === '1' || value === 1) {
-                return true;
-            } else if (value === false || value === 'false' || value === '0' || value === 0) {
-                return false;
-            } else {
-                throw new Error(`${key}: Value must be true/false`);
-            }
-        }
+// Handler for reporting the job queue as a dict
+Max.addHandler('pending', () => {
+    const report = server.getQueueReport();
+    Max.post(`Pending jobs: ${report.count}`);
+    Max.outlet('pending', report);
+});
 
-        return value;
-    }
-
-    // Parse Max list into CLI flags
-    parseMaxListToFlags(maxList) {
-        const flags = [];
-        
-        try {
-            // Max sends arguments as separate items in the list
-            // Expected format: key1 value1 key2 value2 ...
-            for (let i = 0; i < maxList.length; i += 2) {
-                if (i + 1 >= maxList.length) {
-                    throw new Error(`Missing value for parameter: ${maxList[i]}`);
-                }
-                
-                const key = maxList[i].toString().replace(/^-+/, ''); // Remove leading dashes if present
-                const value = maxList[i + 1];
-                
-                // Validate the parameter
-                const validatedValue = this.validateParameter(key, value);
-                
-                // Handle special boolean flags that use --no- prefix
-                if (key === 'include-pitch-bends') {
-                    // If false (0), add --no-pitch-bends flag
-                    if (!validatedValue) {
-                        flags.push('--no-pitch-bends');
-                    }
-                    // If true (1), don't add any flag (pitch bends enabled by default)
-                } else if (key === 'use-melodia-trick') {
-                    // If false (0), add --no-melodia-trick flag
-                    if (!validatedValue) {
-                        flags.push('--no-melodia-trick');
-                    }
-                    // If true (1), don't add any flag (melodia trick enabled by default)
-                } else {
-                    // Handle regular parameters
-                    if (typeof validatedValue === 'boolean') {
-                        if (validatedValue) {
-                            flags.push(`--${key}`);
-                        }
-                        // For boolean false, we don't add the flag
-                    } else {
-                        flags.push(`--${key}`);
-                        flags.push(validatedValue.toString());
-                    }
-                }
-            }
-            
-            return flags;
-            
-        } catch (error) {
-            throw new Error(`Parameter validation failed: ${error.message}`);
-        }
+// Handler for cancelling a job by id or by file path/name
+Max.addHandler('cancel', (target) => {
+    if (target === undefined || target === '') {
+        server.reportError('INVALID_ARGUMENT', 'cancel needs a job id or file');
+        return;
     }
     
-    // Find ffmpeg binary in common locations
-    findFFmpegPath() {
-        const commonPaths = [
-            '/opt/homebrew/bin/ffmpeg',  // Apple Silicon Homebrew
-            '/usr/local/bin/ffmpeg',     // Intel Homebrew
-            '/usr/bin/ffmpeg',           // System install
-            '/Applications/ffmpeg',      // Manual install
-        ];
-        
-        // Check common paths first
-        for (const ffmpegPath of commonPaths) {
-            try {
-                if (fs.existsSync(ffmpegPath)) {
-                    Max.post(`Found ffmpeg at: ${ffmpegPath}`);
-                    return ffmpegPath;
-                }
-            } catch (error) {
-                // Continue to next path
-            }
-        }
-        
-        // Try to use 'which' command to find ffmpeg in PATH
-        try {
-            const { execSync } = require('child_process');
-            const result = execSync('which ffmpeg', { encoding: 'utf8' }).trim();
-            if (result) {
-                Max.post(`Found ffmpeg via which: ${result}`);
-                return result;
-            }
-        } catch (error) {
-            // which command failed
-        }
-        
-        Max.post('❌ ffmpeg not found in common locations');
-        return null;
+    const cancelled = server.cancelJobs(target);
+    if (cancelled === 0) {
+        Max.post(`No active or queued job matches: ${target}`);
+    }
+});
+
+// Handler for cancelling every queued job and forgetting finished ones
+Max.addHandler('clear', () => {
+    server.clearQueue();
+});
+
+// Handler for moving a queued job to the front of the queue
+Max.addHandler('priority', (jobId) => {
+    try {
+        server.prioritizeJob(jobId);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
     }
+});
 
-    // Preprocess audio file with ffmpeg to ensure compatibility
-    async preprocessAudioFile(inputPath) {
-        return new Promise((resolve, reject) => {
-            const inputDir = path.dirname(inputPath);
-            const inputBaseName = path.basename(inputPath, path.extname(inputPath));
-            const preprocessedPath = path.join(inputDir, `${inputBaseName}.proc.wav`);
-            
-            const ffmpegPath = this.findFFmpegPath();
-            
-            if (!ffmpegPath) {
-                reject(new Error('ffmpeg not found. Please install with: brew install ffmpeg'));
-                return;
-            }
-            
-            // ffmpeg command to convert to a clean WAV format
-            const ffmpegArgs = [
-                '-i', inputPath,           // Input file
-                '-ar', '22050',            // Sample rate (BasicPitch expects 22050)
-                '-ac', '1',                // Convert to mono
-                '-sample_fmt', 's16',      // 16-bit PCM
-                '-y',                      // Overwrite output file
-                preprocessedPath           // Output file
-            ];
-            
-            Max.post(`🔧 Preprocessing audio: ${path.basename(inputPath)} -> ${path.basename(preprocessedPath)}`);
-            Max.post(`Using ffmpeg: ${ffmpegPath}`);
-            
-            const ffmpegProcess = spawn(ffmpegPath, ffmpegArgs);
-            
-            let errorOutput = '';
-            
-            ffmpegProcess.stderr.on('data', (data) => {
-                errorOutput += data.toString();
-            });
-            
-            ffmpegProcess.on('close', (code) => {
-                if (code === 0) {
-                    Max.post(`✅ Preprocessing complete: ${path.basename(preprocessedPath)}`);
-                    resolve(preprocessedPath);
-                } else {
-                    Max.post(`❌ Preprocessing failed: ${errorOutput}`);
-                    reject(new Error(`ffmpeg failed with code ${code}: ${errorOutput}`));
-                }
-            });
-            
-            ffmpegProcess.on('error', (error) => {
-                Max.post(`❌ ffmpeg error: ${error.message}`);
-                reject(error);
-            });
-        });
+// Bang handler for general info
+Max.addHandler('bang', () => {
+    const status = server.daemon.ready ? 'ready' : 'initializing';
+    const pending = server.getQueueReport().count;
+    Max.post(`BasicPitch Server - Status: ${status}, Pending: ${pending}`);
+    Max.outlet('info', status, pending);
+});
+
+// Sample data from the patch: samples_begin <name> <samplerate> <channels>, then any number of
+// samples <name> <interleaved values...>, then samples_end <name> [export <format>]...
+Max.addHandler('samples_begin', (name, sampleRate = 44100, channels = 1) => {
+    try {
+        server.beginSamples(name, sampleRate, channels);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+Max.addHandler('samples', (name, ...values) => {
+    try {
+        server.appendSamples(name, values);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+Max.addHandler('samples_end', (name, ...options) => {
+    server.transcribeSamples(String(name), options).catch(error => {
+        server.reportException(error, 'INTERNAL', { file: name });
+    });
+});
+
+Max.addHandler('samples_cancel', (name) => {
+    server.cancelSamples(name);
+});
+
+// Handler for transcribing every audio file in a folder: folder <dir> [recursive] [ext...]
+Max.addHandler('folder', (dir, ...options) => {
+    if (!dir) {
+        server.reportError('INVALID_ARGUMENT', 'No folder path provided');
+        return;
     }
     
-    async processAudioFile(filePath, requestId = null, usePreprocessing = false) {
-        Max.post(`📁 Processing audio file: ${filePath}`);
-        
-        // Check if file exists (use original path without escaping)
-        if (!fs.existsSync(filePath)) {
-            const error = `File not found: ${filePath}`;
-            Max.post(`❌ Error: ${error}`);
-            Max.outlet('error', error, filePath);
-            return;
-        }
-        
-        // Check if daemon is ready - if not, start it but don't restart if it's already running
-        if (!this.daemonReady || !this.daemonProcess) {
-            if (!this.daemonProcess) {
-                Max.post(`🔄 Starting daemon for file processing...`);
-                this.startDaemon();
-                // Wait a moment for daemon to initialize
-                try {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                } catch (error) {
-                    Max.post(`❌ Error waiting for daemon: ${error.message}`);
-                    Max.outlet('error', `Daemon initialization error: ${error.message}`, filePath);
-                    return;
-                }
-            }
-            
-            if (!this.daemonReady) {
-                const error = 'Daemon not ready after initialization. Please try again.';
-                Max.post(`❌ Error: ${error}`);
-                Max.outlet('error', error, filePath);
-                return;
-            }
-        }
-        
-        // Check if this file is already being processed
-        if (this.pendingRequests.has(filePath)) {
-            const requestInfo = this.pendingRequests.get(filePath);
-            const age = Date.now() - requestInfo.startTime;
-
-            // If request is older than 20 seconds, assume it's stuck and remove it
-            if (age > 20000) {
-                const fileName = path.basename(filePath);
-                Max.post(`Clearing stale request for: ${fileName} (${Math.round(age/1000)}s old)`);
-                
-                // Cleanup any temp file if it exists
-                if (requestInfo.cleanupFile && fs.existsSync(requestInfo.cleanupFile)) {
-                    fs.unlinkSync(requestInfo.cleanupFile);
-                    Max.post(`🗑️ Cleaned up stale temp file: ${path.basename(requestInfo.cleanupFile)}`);
-                }
-                
-                this.pendingRequests.delete(filePath);
-            } else {
-                const fileName = path.basename(filePath);
-                Max.post(`File already being processed: ${fileName} (${age / 1000}s ago)`);
-                return;
-            }
-        }
-        
-        let actualFilePath = filePath;
-        let cleanupFile = null;
-        
-        // Preprocess if requested or if file extension suggests it might be problematic
-        const ext = path.extname(filePath).toLowerCase();
-        const problematicFormats = ['.mp3', '.m4a', '.aac', '.flac', '.ogg'];
-        
-        if (usePreprocessing || problematicFormats.includes(ext)) {
-            try {
-                actualFilePath = await this.preprocessAudioFile(filePath);
-                cleanupFile = actualFilePath; // Mark for cleanup later
-            } catch (error) {
-                Max.post(`❌ Preprocessing failed: ${error.message}`);
-                Max.outlet('error', `Preprocessing failed: ${error.message}`, filePath);
-                return;
-            }
-        }
-        
-        // Get the directory of the input file for output (use original path for output location)
-        const inputDir = path.dirname(filePath);
-        const fileName = path.basename(filePath);
-        const audioBaseName = path.basename(filePath, path.extname(filePath));
-        const expectedMidiPath = path.join(inputDir, `${audioBaseName}.mid`);
-        
-        // Store the request with expected output path (use actualFilePath as key for daemon matching)
-        const internalRequestId = ++this.requestCounter;
-        this.pendingRequests.set(actualFilePath, { 
-            requestId: requestId || internalRequestId, 
-            startTime: Date.now(),
-            fileName: fileName,
-            expectedMidiPath: expectedMidiPath,
-            originalFilePath: filePath,
-            originalBaseName: audioBaseName,  // Store original basename for MIDI output
-            cleanupFile: cleanupFile
-        });
-        
-        // Send the process command to the daemon with custom output directory
-        // Use proper quotes - the daemon now handles them correctly with improved parsing
-        const command = `process "${actualFilePath}" "${inputDir}"\n`;
-        
-        // Debug: Log the exact command being sent
-        Max.post(`🔍 Debug: Sending command to daemon: ${command.trim()}`);
-        
-        this.daemonProcess.stdin.write(command);
-        
-        Max.post(`🔄 Processing started for: ${fileName} -> ${expectedMidiPath}`);
-        Max.outlet('processing_started', fileName, filePath);
+    const recursive = options.includes('recursive');
+    const extensions = options
+        .filter(option => option !== 'recursive')
+        .map(option => `.${String(option).replace(/^\./, '').toLowerCase()}`);
+    
+    server.processFolder(dir, recursive, extensions).catch(error => {
+        server.reportException(error, 'INTERNAL', { file: dir });
+    });
+});
+
+// Handler for the daemon binary; no argument goes back to the environment or basic-pitch-cli
+Max.addHandler('daemonpath', (filePath) => {
+    const override = filePath === undefined || filePath === '' ? null : path.resolve(String(filePath));
+    server.switchDaemonBinary(override).catch(error => {
+        server.reportException(error, 'DAEMON_START_FAILED');
+    });
+});
+
+// Handler for the ffmpeg binary; no argument goes back to searching for it
+Max.addHandler('ffmpegpath', (filePath) => {
+    try {
+        server.setFFmpegPath(filePath);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT', { file: path.resolve(String(filePath)) });
+    }
+});
+
+// Handler for where MIDI files go; no argument puts them next to the source again
+Max.addHandler('outdir', (dir) => {
+    try {
+        server.setOutputDir(dir);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT', { file: String(dir) });
     }
+});
+
+// Handler for the MIDI file name template; no arguments restores the default
+Max.addHandler('filename', (...parts) => {
+    try {
+        server.setFilenameTemplate(parts.join(' '));
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+// Handler for what happens when a job's MIDI file already exists
+Max.addHandler('overwrite', (policy) => {
+    try {
+        server.setOverwritePolicy(policy);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+// Handler for watch folders: watch <dir> [move] [ext...] queues audio dropped into the folder
+Max.addHandler('watch', (dir, ...options) => {
+    if (!dir) {
+        server.reportError('INVALID_ARGUMENT', 'No folder path provided');
+        return;
+    }
+    
+    const moveResults = options.includes('move');
+    const extensions = options
+        .filter(option => option !== 'move')
+        .map(option => `.${String(option).replace(/^\./, '').toLowerCase()}`);
     
-    handleDaemonOutput(output) {
-        const lines = output.split('\n');
-        
-        for (const line of lines) {
-            if (line.startsWith('SUCCESS:')) {
-                // Parse success message: SUCCESS: "./temp-midi/vocadito_10.mid" (2285 bytes)
-                const match = line.match(/SUCCESS: "([^"]+)" \((\d+) bytes\)/);
-                if (match) {
-                    const midiFilePath = match[1];
-                    const bytes = parseInt(match[2]);
-                    
-                    // Max.post(`🔍 Debug: Processing SUCCESS for MIDI: ${midiFilePath}`);
-                    
-                    // Check if we've already processed this MIDI file
-                    if (this.processedMidiFiles.has(midiFilePath)) {
-                        // Max.post(`🔍 Debug: ⚠️ MIDI file already processed, skipping: ${midiFilePath}`);
-                        continue; // Continue to next line instead of return
-                    }
-                    
-                    // Mark this MIDI file as processed
-                    this.processedMidiFiles.add(midiFilePath);
-                    
-                    // Max.post(`🔍 Debug: Current pending requests: ${Array.from(this.pendingRequests.keys()).map(k => path.basename(k)).join(', ')}`);
-                    // Max.post(`🔍 Debug: Processed MIDI files so far: ${Array.from(this.processedMidiFiles).map(p => path.basename(p)).join(', ')}`);
-                    
-                    // Find the original audio file path by matching filenames
-                    let originalFile = null;
-                    let matchedRequest = null;
-                    
-                    // Extract just the filename from the MIDI path for comparison
-                    const midiBasename = path.basename(midiFilePath, '.mid');
-                    // Max.post(`🔍 Debug: Looking for audio file that would produce MIDI: ${midiBasename}.mid`);
-                    
-                    for (const [audioPath, requestInfo] of this.pendingRequests.entries()) {
-                        // Get what basename the daemon would use for MIDI output
-                        const audioBaseName = path.basename(audioPath, path.extname(audioPath));
-                        
-                        // Max.post(`🔍 Debug: Checking audio: ${path.basename(audioPath)} -> would create: ${audioBaseName}.mid`);
-                        
-                        // Match by basename - the daemon creates MIDI files with same basename as input
-                        if (audioBaseName === midiBasename) {
-                            originalFile = audioPath;
-                            matchedRequest = requestInfo;
-                            // Max.post(`🔍 Debug: ✅ Found match! Audio: ${path.basename(audioPath)} -> MIDI: ${midiBasename}.mid`);
-                            break;
-                        }
-                    }
-                    
-                    if (originalFile && this.pendingRequests.has(originalFile)) {
-                        // Remove from pending requests IMMEDIATELY to prevent race condition
-                        this.pendingRequests.delete(originalFile);
-                        
-                        const { requestId, startTime, fileName, expectedMidiPath, originalBaseName, cleanupFile } = matchedRequest;
-                        const processingTime = Date.now() - startTime;
-                        
-                        // Use the MIDI file as-is, no renaming
-                        const finalMidiPath = midiFilePath;
-                        
-                        Max.post(`✅ Successfully processed: ${fileName} -> ${path.basename(finalMidiPath)} (${bytes} bytes, ${processingTime}ms)`);
-                        
-                        // Send the final MIDI file path back to Max
-                        Max.outlet(finalMidiPath);
-                        Max.outlet('processing_complete', fileName, finalMidiPath, bytes, processingTime);
-                        
-                        // Cleanup preprocessed file if it exists
-                        if (cleanupFile && fs.existsSync(cleanupFile)) {
-                            fs.unlinkSync(cleanupFile);
-                            Max.post(`🗑️ Cleaned up temporary file: ${path.basename(cleanupFile)}`);
-                        }
-                        
-                        // Clean up processed MIDI tracking after a delay to prevent immediate re-processing
-                        setTimeout(() => {
-                            this.processedMidiFiles.delete(midiFilePath);
-                        }, 5000);
-                    } else {
-                        Max.post(`❌ Debug: No matching pending request found for ${midiFilePath}`);
-                        // Max.post(`🔍 Debug: Available pending requests: ${Array.from(this.pendingRequests.keys()).join(', ')}`);
-                        // Max.post(`🔍 Debug: Looking for basename: ${midiBasename}`);
-                        // Remove from processed set since we couldn't match it
-                        this.processedMidiFiles.delete(midiFilePath);
-                    }
-                }
-            } else if (line.startsWith('Error processing')) {
-                // Handle error messages
-                const match = line.match(/Error processing ([^:]+):/);
-                if (match) {
-                    const failedFile = match[1];
-                    
-                    if (this.pendingRequests.has(failedFile)) {
-                        const { fileName, cleanupFile } = this.pendingRequests.get(failedFile);
-                        
-                        Max.post(`❌ Error processing: ${fileName} - ${line}`);
-                        Max.outlet('processing_error', fileName, line);
-                        
-                        // Cleanup preprocessed file if it exists
-                        if (cleanupFile && fs.existsSync(cleanupFile)) {
-                            fs.unlinkSync(cleanupFile);
-                            Max.post(`🗑️ Cleaned up temporary file: ${path.basename(cleanupFile)}`);
-                        }
-                        
-                        this.pendingRequests.delete(failedFile);
-                    }
-                }
-            } else if (line.startsWith('Processing:')) {
-                // Handle progress messages
-                const match = line.match(/Processing: (.+)/);
-                if (match) {
-                    const processingFile = match[1];
-                    
-                    if (this.pendingRequests.has(processingFile)) {
-                        const { fileName } = this.pendingRequests.get(processingFile);
-                        Max.post(`🔄 Processing: ${fileName}`);
-                        Max.outlet('processing_progress', fileName);
-                    }
-                }
-            }
+    server.watcher.watch(dir, moveResults, extensions);
+});
+
+// Handler for stopping a watch folder; no argument stops them all
+Max.addHandler('unwatch', (dir) => {
+    for (const watched of dir ? [dir] : [...server.watcher.folders.keys()]) {
+        server.watcher.unwatch(watched);
+    }
+});
+
+// Handler for rhythmic post-processing options; no arguments turns it off
+Max.addHandler('postprocess', (...args) => {
+    try {
+        server.setRhythmOptions(args);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+// Handler for pitch cleanup options; applies to the next finished job, no daemon restart
+Max.addHandler('pitch', (...args) => {
+    try {
+        server.setPitchOptions(args);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+// Handler for the formats written next to every MIDI file; no arguments turns exports off
+Max.addHandler('export', (...formats) => {
+    try {
+        server.setExportFormats(formats);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+// Handler for setting parameters and restarting daemon
+Max.addHandler('flags', (...args) => {
+    try {
+        server.setDaemonFlags(args);
+    } catch (error) {
+        server.reportException(error, 'INVALID_FLAG');
+    }
+});
+
+// Handler for named flag sets: preset save|load|delete <name>, preset list
+Max.addHandler('preset', (action, name) => {
+    try {
+        switch (action) {
+        case 'save': server.savePreset(server.validatePresetName(name)); break;
+        case 'load': server.loadPreset(server.validatePresetName(name)); break;
+        case 'delete': server.deletePreset(server.validatePresetName(name)); break;
+        case 'list': Max.outlet('presets', server.getPresetReport()); break;
+        default: throw new Error('preset needs save, load, delete or list');
         }
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
     }
-    
-    shutdown() {
-        Max.post('🛑 Shutting down BasicPitch server...');
-        
-        if (this.daemonProcess) {
-            Max.post('Stopping daemon...');
-            this.daemonProcess.stdin.write('quit\n');
-            this.daemonProcess.kill();
+});
+
+// Handler for the result cache: cache stats|clear, cache limit <MB> (0 = off)
+Max.addHandler('cache', (action, value) => {
+    switch (action) {
+    case 'stats': {
+        const stats = server.cache.stats();
+        Max.post(`🗄️ Cache: ${stats.entries} entries, ${(stats.bytes / 1048576).toFixed(2)} of ${(stats.limit_bytes / 1048576).toFixed(0)} MB (${stats.hits} hits, ${stats.misses} misses)`);
+        Max.outlet('cache', stats);
+        break;
+    }
+    case 'clear': {
+        const count = server.cache.clear();
+        Max.post(`🗑️ Cleared ${count} cached transcriptions`);
+        Max.outlet('cache', server.cache.stats());
+        break;
+    }
+    case 'limit': {
+        const megabytes = parseFloat(value);
+        if (isNaN(megabytes) || megabytes < 0) {
+            server.reportError('INVALID_ARGUMENT', 'cache limit needs a size in MB (0 = off)');
+            return;
         }
-        
-        Max.post('Server shutdown complete.');
-        Max.outlet('shutdown');
-        process.exit(0);
+        const removed = server.cache.setLimit(Math.round(megabytes * 1048576));
+        Max.post(megabytes > 0
+            ? `🗄️ Cache limit ${megabytes} MB${removed > 0 ? `, evicted ${removed} entries` : ''}`
+            : '🗄️ Cache off');
+        Max.outlet('cache', server.cache.stats());
+        break;
+    }
+    default:
+        server.reportError('INVALID_ARGUMENT', 'cache needs stats, clear or limit <MB>');
+    }
+});
+
+// Handler for console verbosity: verbose error|warn|info|debug|trace (trace shows raw daemon lines)
+Max.addHandler('verbose', (level) => {
+    if (level === undefined) {
+        Max.post(`Log level: ${server.logLevel}`);
+        Max.outlet('verbose', server.logLevel);
+        return;
+    }
+    try {
+        server.setLogLevel(level);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+// Handler for the daemon protocol trace: tracelog <file> [max_MB] [files], tracelog off
+Max.addHandler('tracelog', (filePath, maxMegabytes, files) => {
+    try {
+        server.setTraceLog(filePath, maxMegabytes, files);
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+// Handler for daemon stderr filters: suppress add|remove <regex>, suppress clear|reset|list
+Max.addHandler('suppress', (action, ...pattern) => {
+    try {
+        server.setSuppressPatterns(action, pattern.join(' '));
+    } catch (error) {
+        server.reportException(error, 'INVALID_ARGUMENT');
+    }
+});
+
+// Handler for the parameter schema, for patches that build their own controls
+Max.addHandler('params', () => {
+    Max.outlet('params', server.getParameterSchema());
+});
+
+// Handler for the global parameter values, defaults filled in, and the flags the running
+// daemons were started with
+Max.addHandler('getflags', () => {
+    const report = server.getActiveParams();
+    Max.post(`Active flags: ${report.active_daemon ? report.active_flags || 'default settings' : '(no daemon running)'} (daemon ${report.active_daemon})`);
+    if (!report.applied) {
+        Max.post(`Pending flags: ${report.flags || 'default settings'}`);
+    }
+    Max.outlet('flags', report);
+});
+
+// Analysis dict for a transcription by MIDI path or job id; without an argument, the latest one.
+// Finished jobs output theirs automatically.
+Max.addHandler('analyze', (target) => {
+    const midiPath = server.resolvePlaybackSource(target);
+    if (!midiPath) {
+        server.reportError('INVALID_ARGUMENT', `Nothing to analyze for: ${target === undefined ? '(latest)' : target}`, { file: target === undefined ? '' : target });
+        return;
     }
-}
+    
+    try {
+        const report = server.analyzeMidi(midiPath, midiPath);
+        Max.post(`📊 ${path.basename(midiPath)}: ${report.count} notes${report.key ? `, ${report.key.name}, ~${report.tempo.estimate_bpm} BPM` : ''}`);
+        Max.outlet('analysis', report);
+    } catch (error) {
+        server.reportException(error, 'OUTPUT_FAILED', { file: midiPath });
+    }
+});
+
+// Play a transcription by MIDI path or job id; without an argument, the latest one
+Max.addHandler('play', (target) => {
+    server.play(target);
+});
+
+Max.addHandler('stop', () => {
+    server.player.stop();
+    Max.outlet('play_stop');
+});
+
+// Clock from the patch: transport <bpm> <position_beats> [running]
+Max.addHandler('transport', (bpm, position, running = 1) => {
+    server.player.setTransport(parseFloat(bpm), position === undefined ? undefined : parseFloat(position), !!parseInt(running));
+});
+
+Max.addHandler('loop', (enabled) => {
+    server.player.loop = !!parseInt(enabled);
+});
+
+// Start offset into the transcription, in beats
+Max.addHandler('offset', (beats) => {
+    const value = parseFloat(beats);
+    server.player.offsetBeats = isNaN(value) || value < 0 ? 0 : value;
+});
 
-// Create and start the server
-const server = new BasicPitchServer();
+Max.addHandler('speed', (factor) => {
+    const value = parseFloat(factor);
+    if (isNaN(value) || value <= 0) {
+        server.reportError('INVALID_ARGUMENT', 'speed must be a positive number');
+        return;
+    }
+    server.player.speed = value;
+});
 
 Max.addHandler('help', () => {
     Max.post('');
@@ -744,69 +425,56 @@ Max.addHandler('help', () => {
     Max.post('=====================================');
     Max.post('');
     Max.post('Available Commands:');
-    Max.post('  path <audio_file>     - Process audio file');
-    Max.post('  preprocess <audio_file> - Process with preprocessing');
+    Max.post('  path <audio_file> [export <format>] [<param> <value>] [<preprocess opts>] - Process audio file');
+    Max.post('  preprocess <audio_file> [opts...] - Process with preprocessing');
+    Max.post('  folder <dir> [recursive] [ext...] - Process every audio file in a folder');
+    Max.post('  daemonpath [path]    - Daemon binary to use (no path = automatic)');
+    Max.post('  ffmpegpath [path]    - ffmpeg binary to use (no path = automatic)');
+    Max.post('  outdir [dir]         - Folder for MIDI files (no dir = next to the source)');
+    Max.post('  filename [template]  - MIDI name from {basename} {timestamp} {preset} {flags} {overrides}');
+    Max.post('  overwrite overwrite|version|skip - When the MIDI file already exists');
+    Max.post('  watch <dir> [move] [ext...] - Queue audio files dropped into a folder');
+    Max.post('  unwatch [dir]        - Stop watching a folder (no dir = all)');
+    Max.post('  chunking <threshold_s> [length_s] [overlap_s] - Split long files (0 = off)');
+    Max.post('  samples_begin <name> <sr> <channels> - Start sending sample data');
+    Max.post('  samples <name> <values...> - Append interleaved samples');
+    Max.post('  samples_end <name>    - Transcribe the received samples');
+    Max.post('  samples_cancel <name> - Discard received samples');
     Max.post('  flags <params...>     - Set parameters and restart daemon');
-    Max.post('  status               - Check daemon status');
-    Max.post('  pending              - Check pending requests count');
+    Max.post('  preset save|load|delete <name> - Named flag sets (built-in: vocals bass piano guitar)');
+    Max.post('  preset list          - Output all presets as a dict');
+    Max.post('  params               - Output the parameter schema as a dict');
+    Max.post('  cache stats|clear    - Output or empty the transcription cache');
+    Max.post('  cache limit <MB>     - Cache size, least recently used dropped first (0 = off)');
+    Max.post('  getflags             - Output the active parameter values as a dict');
+    Max.post('  postprocess <opts...> - Write a quantized .processed.mid (no args = off)');
+    Max.post('  pitch <opts...>       - Scale snap, octave fix, voice reduction (no args = off)');
+    Max.post('  export <formats...>   - Also write json, csv, coll, text, musicxml (no args = off)');
+    Max.post('  status               - Output daemon health as a dict');
+    Max.post('  verbose <level>      - Console detail: error, warn, info, debug, trace');
+    Max.post('  tracelog <file> [MB] [files] - Log raw daemon traffic, rotated (off = stop)');
+    Max.post('  suppress add|remove <regex> - Hide matching daemon stderr lines (clear, reset, list)');
+    Max.post('  readytimeout <ms>    - How long requests wait for the daemon');
+    Max.post('  pending              - Output the job queue as a dict');
+    Max.post('  cancel <id|file>     - Cancel a queued or running job');
+    Max.post('  clear                - Cancel all queued jobs and clear history');
+    Max.post('  priority <id>        - Move a queued job to the front');
     Max.post('  bang                 - Get general info');
+    Max.post('  analyze [midi|id]    - Output key, tempo, range, polyphony and density as a dict');
+    Max.post('  play [midi|id]       - Play a transcription as note messages');
+    Max.post('  stop                 - Stop playback');
+    Max.post('  transport <bpm> <beats> [running] - Sync playback to the patch');
+    Max.post('  loop <1/0>, offset <beats>, speed <factor> - Playback options');
     Max.post('  help                 - Show this help');
     Max.post('');
     Max.post('Available Parameters for flags command:');
     Max.post('');
     
-    const validations = {
-        'onset-threshold': {
-            min: 0.0,
-            max: 1.0,
-            type: 'number',
-            description: 'Onset threshold (higher = fewer onsets detected)'
-        },
-        'frame-threshold': {
-            min: 0.0,
-            max: 1.0,
-            type: 'number',
-            description: 'Frame threshold (higher = fewer notes detected)'
-        },
-        'min-frequency': {
-            min: 20.0,
-            max: 8000.0,
-            type: 'number',
-            description: 'Minimum frequency in Hz'
-        },
-        'max-frequency': {
-            min: 20.0,
-            max: 8000.0,
-            type: 'number',
-            description: 'Maximum frequency in Hz'
-        },
-        'min-note-length': {
-            min: 0.01,
-            max: 10.0,
-            type: 'number',
-            description: 'Minimum note length in seconds'
-        },
-        'tempo-bpm': {
-            min: 60.0,
-            max: 200.0,
-            type: 'number',
-            description: 'Tempo in BPM for beat tracking'
-        },
-        'use-melodia-trick': {
-            type: 'boolean',
-            description: 'Use melodia trick for better pitch tracking'
-        },
-        'include-pitch-bends': {
-            type: 'boolean',
-            description: 'Include pitch bends in MIDI output'
-        }
-    };
-
-    for (const [param, info] of Object.entries(validations)) {
+    for (const [param, info] of Object.entries(PARAMETER_SCHEMA)) {
         if (info.type === 'number') {
-            Max.post(`  ${param.padEnd(20)} ${info.type.padEnd(8)} [${info.min}-${info.max}]  ${info.description}`);
+            Max.post(`  ${param.padEnd(20)} ${info.type.padEnd(8)} [${info.min}-${info.max}]  ${info.description} (default ${info.default})`);
         } else {
-            Max.post(`  ${param.padEnd(20)} ${info.type.padEnd(8)} [1/0]      ${info.description}`);
+            Max.post(`  ${param.padEnd(20)} ${info.type.padEnd(8)} [1/0]      ${info.description} (default ${info.default ? 1 : 0})`);
         }
     }
     
@@ -815,6 +483,20 @@ Max.addHandler('help', () => {
     Max.post('  flags onset-threshold 0.8 frame-threshold 0.3');
     Max.post('  flags use-melodia-trick 1 include-pitch-bends 0');
     Max.post('  flags min-frequency 80 max-frequency 2000 tempo-bpm 120');
+    Max.post('  preset load bass, then flags onset-threshold 0.6 and preset save my-bass');
+    Max.post('  path song.wav onset-threshold 0.6 -> song.onset-threshold-0.6.mid');
+    Max.post('  postprocess quantize-grid 0.25 quantize-strength 0.8 swing 0.3');
+    Max.post('  pitch snap-to-scale 1 key auto scale minor fix-octaves 1 voice highest');
+    Max.post('  preprocess song.wav region 30-60 channel left filter bandpass normalize -20');
+    Max.post('');
+    Max.post('Options for path and preprocess:');
+    Max.post('  start <s>, end <s>, region <a-b> - Transcribe part of the file (MIDI keeps source times)');
+    Max.post('  channel mix|left|right|mid|side|1-8 - Channel instead of a downmix');
+    Max.post('  normalize <dB>       - RMS target, -40 to -6 dBFS');
+    Max.post('  filter off|highpass|lowpass|bandpass - Cut at min-frequency/max-frequency');
+    Max.post('  low <hz>, high <hz>  - Override the filter cutoffs');
+    Max.post('  chunk <s>            - Transcribe in chunks of this length (0 = whole file)');
+    Max.post('  <param> <value>      - Any flags parameter, for this file only (own daemon, own .mid)');
     Max.post('');
     
 });
@@ -832,8 +514,32 @@ Max.addHandler('test_ffmpeg', () => {
 
 Max.addHandler('shutdown', () => {
     server.shutdown();
+    process.exit(0);
 });
 
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+    server.shutdown();
+    process.exit(0);
+});
+process.on('SIGTERM', () => {
+    server.shutdown();
+    process.exit(0);
+});
+
+// Handle uncaught exceptions to prevent crashes
+process.on('uncaughtException', (error) => {
+    server.reportError('INTERNAL', `Uncaught exception: ${error.message}`, { details: { stack: error.stack || '' } });
+});
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+    server.reportError('INTERNAL', `Unhandled promise rejection: ${reason}`);
+});
+
+// Start the daemon, with the last preset's flags if there was one
+server.start();
+
 // Post startup message to Max console
 Max.post('🎵 BasicPitch Server for Max started');
 Max.post('Waiting for daemon to initialize...');
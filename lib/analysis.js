@@ -0,0 +1,299 @@
+// Statistics for a finished transcription: pitch range and histograms, key, a tempo estimate
+// from the onsets, polyphony and note density over time. Notes use the extractNotes shape from
+// ./midi (start/end in seconds). Used to pick presets and to spot transcriptions that look wrong.
+const { NOTE_NAMES, pitchClassHistogram, detectKey } = require('./pitch');
+
+// Onsets closer than this are one event (a chord), for the tempo estimate
+const ONSET_MERGE_SECONDS = 0.03;
+// Inter-onset intervals are binned at this resolution; beats are searched between these tempos
+const IOI_BIN_SECONDS = 0.005;
+const MIN_TEMPO_BPM = 40;
+const MAX_TEMPO_BPM = 200;
+// Tempos near 120 are preferred when several fit equally well (one octave of spread)
+const TEMPO_PRIOR_BPM = 120;
+const TEMPO_PRIOR_OCTAVES = 1;
+// Within this fraction of the tempo-bpm flag the estimate counts as agreeing with it
+const TEMPO_MATCH_TOLERANCE = 0.04;
+
+// Curves use 1 s windows, widened so a long recording gives at most this many points
+const DEFAULT_WINDOW_SECONDS = 1;
+const MAX_CURVE_POINTS = 500;
+// A window is a density jump when it has this many times the onsets of the windows around it
+// (the median of JUMP_NEIGHBOURS on each side) and at least JUMP_MIN_RATE notes per second
+const JUMP_RATIO = 4;
+const JUMP_MIN_RATE = 8;
+const JUMP_NEIGHBOURS = 5;
+// More simultaneous notes than this is unusual for a single instrument
+const HIGH_POLYPHONY = 8;
+
+const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+// MIDI note number to a name such as C4 (middle C = 60)
+function noteName(pitch) {
+    return `${NOTE_NAMES[pitch % 12].toUpperCase()}${Math.floor(pitch / 12) - 1}`;
+}
+
+function median(values) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function analyzePitch(notes) {
+    const histogram = new Array(128).fill(0);
+    let lowest = 127;
+    let highest = 0;
+    let sum = 0;
+    for (const note of notes) {
+        histogram[note.pitch]++;
+        lowest = Math.min(lowest, note.pitch);
+        highest = Math.max(highest, note.pitch);
+        sum += note.pitch;
+    }
+
+    // Pitch classes as shares of the total, weighted by duration and velocity like the key estimate
+    const classes = pitchClassHistogram(notes);
+    const classTotal = classes.reduce((total, value) => total + value, 0);
+
+    return {
+        lowest,
+        highest,
+        lowest_name: noteName(lowest),
+        highest_name: noteName(highest),
+        span: highest - lowest,
+        mean: round(sum / notes.length, 2),
+        histogram,
+        class_histogram: classes.map(value => classTotal > 0 ? round(value / classTotal, 4) : 0)
+    };
+}
+
+function analyzeKey(notes) {
+    const key = detectKey(notes);
+    return {
+        tonic: key.name,
+        mode: key.mode,
+        name: `${key.name} ${key.mode}`,
+        correlation: round(key.correlation, 4)
+    };
+}
+
+// Onset times with chords merged, each weighted by its summed velocity
+function onsetEvents(notes) {
+    const sorted = [...notes].sort((a, b) => a.start - b.start);
+    const events = [];
+    for (const note of sorted) {
+        const last = events[events.length - 1];
+        if (last && note.start - last.time < ONSET_MERGE_SECONDS) {
+            last.weight += note.velocity;
+        } else {
+            events.push({ time: note.start, weight: note.velocity });
+        }
+    }
+    return events;
+}
+
+// Autocorrelation of the onsets: a histogram of the intervals between every pair of onsets up to
+// two beats of the slowest tempo apart, weighted by both onsets and smoothed over a few bins
+function intervalHistogram(events) {
+    const maxInterval = 2 * 60 / MIN_TEMPO_BPM;
+    const bins = Math.ceil(maxInterval / IOI_BIN_SECONDS) + 1;
+    const histogram = new Float64Array(bins);
+
+    for (let i = 0; i < events.length; i++) {
+        for (let j = i + 1; j < events.length; j++) {
+            const interval = events[j].time - events[i].time;
+            if (interval > maxInterval) {
+                break;
+            }
+            histogram[Math.round(interval / IOI_BIN_SECONDS)] += events[i].weight * events[j].weight;
+        }
+    }
+
+    const smoothed = new Float64Array(bins);
+    const kernel = [0.25, 0.5, 1, 0.5, 0.25];
+    for (let i = 0; i < bins; i++) {
+        for (let k = 0; k < kernel.length; k++) {
+            const index = i + k - 2;
+            if (index >= 0 && index < bins) {
+                smoothed[i] += histogram[index] * kernel[k];
+            }
+        }
+    }
+    return smoothed;
+}
+
+// Beat period whose interval, and twice that interval, recur most often, leaning toward 120 BPM.
+// Reference is the tempo-bpm flag when given.
+function analyzeTempo(notes, flagBpm, fileBpm) {
+    const events = onsetEvents(notes);
+    const result = {
+        estimate_bpm: 0,
+        confidence: 0,
+        flag_bpm: flagBpm || 0,
+        file_bpm: round(fileBpm || 0, 2),
+        ratio: 0,
+        relation: 'none' // match, double, half, differs; none without an estimate or a flag
+    };
+    if (events.length < 4) {
+        return result;
+    }
+
+    const histogram = intervalHistogram(events);
+    const valueAt = (seconds) => histogram[Math.round(seconds / IOI_BIN_SECONDS)] || 0;
+
+    let best = { bpm: 0, score: 0 };
+    let total = 0;
+    let count = 0;
+    for (let bpm = MIN_TEMPO_BPM; bpm <= MAX_TEMPO_BPM; bpm += 0.5) {
+        const period = 60 / bpm;
+        const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / TEMPO_PRIOR_BPM) / TEMPO_PRIOR_OCTAVES, 2));
+        const score = (valueAt(period) + 0.5 * valueAt(2 * period)) * prior;
+        total += score;
+        count++;
+        if (score > best.score) {
+            best = { bpm, score };
+        }
+    }
+    if (best.score === 0) {
+        return result;
+    }
+
+    // How far the best tempo stands out from the average candidate, 0-1
+    result.estimate_bpm = best.bpm;
+    result.confidence = round(1 - (total / count) / best.score, 3);
+
+    if (flagBpm) {
+        const ratio = best.bpm / flagBpm;
+        const near = (target) => Math.abs(ratio / target - 1) <= TEMPO_MATCH_TOLERANCE;
+        result.ratio = round(ratio, 3);
+        result.relation = near(1) ? 'match' : near(2) ? 'double' : near(0.5) ? 'half' : 'differs';
+    }
+    return result;
+}
+
+// Seconds spent at each number of simultaneous notes, plus the maximum and mean per window
+function analyzePolyphony(notes, duration, windowSeconds) {
+    // Ends sort before starts at the same time, so back-to-back notes don't count as overlapping
+    const changes = [];
+    for (const note of notes) {
+        changes.push({ time: note.start, delta: 1 }, { time: note.end, delta: -1 });
+    }
+    changes.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+    const windows = Math.max(1, Math.ceil(duration / windowSeconds));
+    const maxCurve = new Array(windows).fill(0);
+    const timeCurve = new Array(windows).fill(0); // Note-seconds per window, for the mean
+    const levels = [0];
+    let level = 0;
+    let previous = 0;
+
+    // Spread the span [from, to) at the current level over the windows it covers
+    const addSpan = (from, to) => {
+        if (to <= from) {
+            return;
+        }
+        levels[level] = (levels[level] || 0) + (to - from);
+        for (let w = Math.floor(from / windowSeconds); w < windows && w * windowSeconds < to; w++) {
+            const overlap = Math.min(to, (w + 1) * windowSeconds) - Math.max(from, w * windowSeconds);
+            if (overlap > 0) {
+                timeCurve[w] += overlap * level;
+                maxCurve[w] = Math.max(maxCurve[w], level);
+            }
+        }
+    };
+
+    for (const change of changes) {
+        addSpan(previous, change.time);
+        previous = change.time;
+        level += change.delta;
+    }
+
+    const sounding = levels.reduce((total, seconds, index) => index > 0 ? total + seconds : total, 0);
+    const weighted = levels.reduce((total, seconds, index) => total + seconds * index, 0);
+
+    return {
+        max: levels.length - 1,
+        mean: sounding > 0 ? round(weighted / sounding, 3) : 0,
+        histogram: Array.from(levels, seconds => round(seconds || 0, 3)),
+        window_s: windowSeconds,
+        max_curve: maxCurve,
+        mean_curve: timeCurve.map(value => round(value / windowSeconds, 3))
+    };
+}
+
+// Onsets per second in each window, and the windows where that jumps far above its surroundings
+function analyzeDensity(notes, duration, windowSeconds) {
+    const windows = Math.max(1, Math.ceil(duration / windowSeconds));
+    const counts = new Array(windows).fill(0);
+    for (const note of notes) {
+        counts[Math.min(windows - 1, Math.floor(note.start / windowSeconds))]++;
+    }
+    const curve = counts.map(count => round(count / windowSeconds, 3));
+
+    const jumps = [];
+    for (let w = 0; w < windows; w++) {
+        const around = [
+            ...curve.slice(Math.max(0, w - JUMP_NEIGHBOURS), w),
+            ...curve.slice(w + 1, w + 1 + JUMP_NEIGHBOURS)
+        ];
+        const local = median(around);
+        if (around.length > 0 && curve[w] >= JUMP_MIN_RATE && curve[w] >= JUMP_RATIO * Math.max(local, 1)) {
+            jumps.push({ time_s: round(w * windowSeconds, 3), notes_per_s: curve[w], local_median: local });
+        }
+    }
+
+    return {
+        mean: round(notes.length / Math.max(duration, windowSeconds), 3),
+        peak: Math.max(...curve),
+        window_s: windowSeconds,
+        curve,
+        jumps
+    };
+}
+
+// The full report for a list of notes. flagBpm is the tempo-bpm flag (null when not given),
+// fileBpm the tempo written in the MIDI file.
+function analyzeNotes(notes, { flagBpm = null, fileBpm = null } = {}) {
+    if (notes.length === 0) {
+        return { count: 0, duration_s: 0, pitch: null, key: null, tempo: null, polyphony: null, density: null, warnings: ['no notes'] };
+    }
+
+    const duration = notes.reduce((max, note) => Math.max(max, note.end), 0);
+    const windowSeconds = Math.max(DEFAULT_WINDOW_SECONDS, Math.ceil(duration / MAX_CURVE_POINTS));
+
+    const report = {
+        count: notes.length,
+        duration_s: round(duration, 3),
+        pitch: analyzePitch(notes),
+        key: analyzeKey(notes),
+        tempo: analyzeTempo(notes, flagBpm, fileBpm),
+        polyphony: analyzePolyphony(notes, duration, windowSeconds),
+        density: analyzeDensity(notes, duration, windowSeconds),
+        warnings: []
+    };
+
+    for (const jump of report.density.jumps) {
+        report.warnings.push(`density jump at ${jump.time_s}s: ${jump.notes_per_s} notes/s against ${jump.local_median} around it`);
+    }
+    if (report.polyphony.max > HIGH_POLYPHONY) {
+        report.warnings.push(`${report.polyphony.max} simultaneous notes`);
+    }
+    if (report.tempo.relation === 'differs') {
+        report.warnings.push(`estimated tempo ${report.tempo.estimate_bpm} BPM differs from tempo-bpm ${report.tempo.flag_bpm}`);
+    }
+
+    return report;
+}
+
+module.exports = {
+    noteName,
+    analyzePitch,
+    analyzeKey,
+    analyzeTempo,
+    analyzePolyphony,
+    analyzeDensity,
+    analyzeNotes
+};
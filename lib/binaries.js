@@ -0,0 +1,195 @@
+// Locating the daemon and ffmpeg for the current platform, and checking that a binary can run
+// here before it is spawned, so a missing or wrong-architecture build gets a readable reason
+// instead of a bare spawn error.
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Usual ffmpeg install locations, checked before PATH
+const FFMPEG_LOCATIONS = {
+    'darwin': [
+        '/opt/homebrew/bin/ffmpeg', // Apple Silicon Homebrew
+        '/usr/local/bin/ffmpeg', // Intel Homebrew
+        '/usr/bin/ffmpeg',
+        '/Applications/ffmpeg'
+    ],
+    'linux': [
+        '/usr/bin/ffmpeg',
+        '/usr/local/bin/ffmpeg',
+        '/snap/bin/ffmpeg',
+        '/opt/ffmpeg/bin/ffmpeg'
+    ],
+    'win32': [
+        'C:\\ffmpeg\\bin\\ffmpeg.exe',
+        'C:\\Program Files\\ffmpeg\\bin\\ffmpeg.exe',
+        'C:\\ProgramData\\chocolatey\\bin\\ffmpeg.exe'
+    ]
+};
+
+// Executable formats and CPU types from their headers, by Node's platform and arch names
+const FORMAT_PLATFORMS = { 'Mach-O': 'darwin', 'ELF': 'linux', 'PE': 'win32' };
+const MACHO_CPU_TYPES = { 0x01000007: 'x64', 0x0100000c: 'arm64', 0x00000007: 'ia32' };
+const ELF_MACHINES = { 0x03: 'ia32', 0x28: 'arm', 0x3e: 'x64', 0xb7: 'arm64' };
+const PE_MACHINES = { 0x014c: 'ia32', 0x8664: 'x64', 0xaa64: 'arm64' };
+
+function executableName(name, platform = process.platform) {
+    return platform === 'win32' ? `${name}.exe` : name;
+}
+
+// Daemon locations in lookup order: a per-platform build such as basic-pitch-cli/linux-x64/,
+// then the binary at the top of basic-pitch-cli (the macOS arm64 build that ships today)
+function daemonCandidates(cliDir, platform = process.platform, arch = process.arch) {
+    const name = executableName('basicpitch_daemon', platform);
+    return [path.join(cliDir, `${platform}-${arch}`, name), path.join(cliDir, name)];
+}
+
+function findOnPath(name, platform = process.platform) {
+    const fileName = executableName(name, platform);
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        const candidate = path.join(dir, fileName);
+        if (dir && fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+function findFFmpeg(platform = process.platform) {
+    const known = (FFMPEG_LOCATIONS[platform] || []).find(candidate => fs.existsSync(candidate));
+    return known || findOnPath('ffmpeg', platform);
+}
+
+// { format, archs } read from an executable's header, or null for anything else (scripts, say)
+function readExecutableInfo(filePath) {
+    const header = Buffer.alloc(4096);
+    const fd = fs.openSync(filePath, 'r');
+    let length;
+    try {
+        length = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (length < 64) {
+        return null;
+    }
+
+    const cpuName = (table, value) => table[value] || `unknown (0x${value.toString(16)})`;
+    const magic = header.readUInt32BE(0);
+
+    if (magic === 0xcffaedfe || magic === 0xcefaedfe) {
+        return { format: 'Mach-O', archs: [cpuName(MACHO_CPU_TYPES, header.readUInt32LE(4))] };
+    }
+
+    // Universal binary: a count, then 20-byte entries starting with each slice's CPU type
+    if (magic === 0xcafebabe) {
+        const count = header.readUInt32BE(4);
+        if (count > 0 && count < 10 && 8 + count * 20 <= length) {
+            const archs = [];
+            for (let i = 0; i < count; i++) {
+                archs.push(cpuName(MACHO_CPU_TYPES, header.readUInt32BE(8 + i * 20)));
+            }
+            return { format: 'Mach-O', archs };
+        }
+        return null;
+    }
+
+    if (magic === 0x7f454c46) {
+        const machine = header[5] === 2 ? header.readUInt16BE(18) : header.readUInt16LE(18);
+        return { format: 'ELF', archs: [cpuName(ELF_MACHINES, machine)] };
+    }
+
+    if (header.toString('latin1', 0, 2) === 'MZ') {
+        const peOffset = header.readUInt32LE(0x3c);
+        if (peOffset + 6 <= length && header.toString('latin1', peOffset, peOffset + 4) === 'PE\0\0') {
+            return { format: 'PE', archs: [cpuName(PE_MACHINES, header.readUInt16LE(peOffset + 4))] };
+        }
+    }
+
+    return null;
+}
+
+// Why a binary can't run on this machine, or null if it looks runnable
+function checkExecutable(filePath, platform = process.platform, arch = process.arch) {
+    if (!fs.existsSync(filePath)) {
+        return `not found: ${filePath}`;
+    }
+    if (!fs.statSync(filePath).isFile()) {
+        return `not a file: ${filePath}`;
+    }
+    if (platform !== 'win32') {
+        try {
+            fs.accessSync(filePath, fs.constants.X_OK);
+        } catch (error) {
+            return `not executable: ${filePath} (chmod +x it)`;
+        }
+    }
+
+    const info = readExecutableInfo(filePath);
+    if (!info) {
+        return null;
+    }
+
+    const built = `${FORMAT_PLATFORMS[info.format]}-${info.archs.join('/')}`;
+    if (FORMAT_PLATFORMS[info.format] !== platform) {
+        return `wrong platform: ${path.basename(filePath)} is built for ${built}, this machine is ${platform}-${arch}`;
+    }
+    // Apple Silicon also runs Intel builds under Rosetta
+    const runsHere = info.archs.includes(arch) || (platform === 'darwin' && arch === 'arm64' && info.archs.includes('x64'));
+    if (!runsHere) {
+        return `wrong architecture: ${path.basename(filePath)} is built for ${built}, this machine is ${platform}-${arch}`;
+    }
+    return null;
+}
+
+// Run a binary with some arguments and resolve with everything it printed. `quit` on stdin stops
+// one that ignores the arguments and starts in daemon mode instead; a spawn error rejects.
+function runProbe(filePath, args, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const child = spawn(filePath, args);
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+        child.stdout.on('data', data => { output += data; });
+        child.stderr.on('data', data => { output += data; });
+        child.stdin.on('error', () => {}); // It may exit before reading stdin
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', () => {
+            clearTimeout(timer);
+            resolve(output);
+        });
+        child.stdin.end('quit\n');
+    });
+}
+
+// Ask a daemon for its version and capabilities with a single `--version` run, without blocking.
+// Current builds answer with a version number and a line such as
+// `capabilities: request-id --onset-threshold --frame-threshold` (request-id: it accepts a job id
+// after `process` and tags its replies with [id]). Legacy builds don't know the option and print
+// their usage instead; they get { legacy: true } and nulls, and are sent flags and commands as
+// they are.
+async function probeDaemon(filePath, timeoutMs = 5000) {
+    const output = await runProbe(filePath, ['--version'], timeoutMs);
+    if (/^\s*usage:/im.test(output)) {
+        return { legacy: true, version: null, capabilities: null };
+    }
+
+    const version = output.match(/\bv?(\d+\.\d+(?:\.\d+)?)\b/);
+    const capabilityLine = output.split(/\r?\n/).find(line => /^capabilities:/i.test(line.trim()));
+    return {
+        legacy: false,
+        version: version ? version[1] : null,
+        capabilities: capabilityLine ? capabilityLine.trim().slice('capabilities:'.length).trim().split(/\s+/).filter(Boolean) : null
+    };
+}
+
+module.exports = {
+    FFMPEG_LOCATIONS,
+    daemonCandidates,
+    findOnPath,
+    findFFmpeg,
+    readExecutableInfo,
+    checkExecutable,
+    probeDaemon
+};
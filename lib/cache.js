@@ -0,0 +1,177 @@
+// Persistent cache of transcriptions, keyed by a hash of the audio content and everything that
+// changes what the daemon produces from it (flags and preprocessing). Entries are MIDI files in
+// one folder with an index.json of sizes and last-use times; the least recently used entries are
+// dropped once the folder grows past the size limit. Hits only update the index in memory; it is
+// written when entries are added or removed, and by flush() at shutdown.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMIT_BYTES = 50 * 1024 * 1024;
+
+// SHA-256 of a file's contents, streamed so long recordings aren't read into memory at once
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', data => hash.update(data))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+class ResultCache {
+    constructor(dir, limitBytes = DEFAULT_LIMIT_BYTES) {
+        this.dir = dir;
+        this.indexPath = path.join(dir, 'index.json');
+        this.limitBytes = limitBytes; // 0 = caching off
+        this.entries = {}; // key -> { bytes, source, createdAt, lastUsedAt, hits }
+        this.hits = 0; // This session only
+        this.misses = 0;
+        this.dirty = false; // The index in memory has changes not yet written
+        this.load();
+    }
+
+    get enabled() {
+        return this.limitBytes > 0;
+    }
+
+    // Entries whose MIDI file has gone missing are forgotten
+    load() {
+        try {
+            if (fs.existsSync(this.indexPath)) {
+                const entries = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+                for (const [key, entry] of Object.entries(entries)) {
+                    if (fs.existsSync(this.entryPath(key))) {
+                        this.entries[key] = entry;
+                    }
+                }
+            }
+        } catch (error) {
+            this.entries = {};
+        }
+    }
+
+    save() {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+        fs.writeFileSync(this.indexPath, JSON.stringify(this.entries, null, 2) + '\n');
+        this.dirty = false;
+    }
+
+    // Write the index if it has changed since it was last written
+    flush() {
+        if (this.dirty) {
+            this.save();
+        }
+    }
+
+    entryPath(key) {
+        return path.join(this.dir, `${key}.mid`);
+    }
+
+    // Cache key for an audio hash plus the flags and preprocess options it is transcribed with, and
+    // the chunk length and overlap when it is transcribed in chunks (null for the whole file)
+    makeKey(audioHash, flags, preprocessOptions = {}, chunking = null) {
+        const options = Object.keys(preprocessOptions).sort().map(key => `${key}=${preprocessOptions[key]}`);
+        const split = chunking ? `chunks ${chunking.length}/${chunking.overlap}` : 'whole';
+        return crypto.createHash('sha256')
+            .update([audioHash, flags.join(' '), options.join(' '), split].join('\n'))
+            .digest('hex');
+    }
+
+    // Path of the cached MIDI for a key, or null on a miss
+    lookup(key) {
+        const entry = this.entries[key];
+        if (!this.enabled || !entry || !fs.existsSync(this.entryPath(key))) {
+            this.misses++;
+            return null;
+        }
+
+        entry.lastUsedAt = Date.now();
+        entry.hits++;
+        this.hits++;
+        this.dirty = true;
+        return this.entryPath(key);
+    }
+
+    store(key, midiPath, source = '') {
+        if (!this.enabled) {
+            return;
+        }
+
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+        fs.copyFileSync(midiPath, this.entryPath(key));
+
+        const now = Date.now();
+        this.entries[key] = { bytes: fs.statSync(midiPath).size, source, createdAt: now, lastUsedAt: now, hits: 0 };
+        this.evict();
+        this.save();
+    }
+
+    totalBytes() {
+        return Object.values(this.entries).reduce((sum, entry) => sum + entry.bytes, 0);
+    }
+
+    // Drop least recently used entries until the cache fits its limit; returns how many went
+    evict() {
+        const byAge = Object.entries(this.entries).sort(([, a], [, b]) => a.lastUsedAt - b.lastUsedAt);
+        let total = this.totalBytes();
+        let removed = 0;
+
+        for (const [key, entry] of byAge) {
+            if (total <= this.limitBytes) {
+                break;
+            }
+            this.remove(key);
+            total -= entry.bytes;
+            removed++;
+        }
+        return removed;
+    }
+
+    remove(key) {
+        delete this.entries[key];
+        if (fs.existsSync(this.entryPath(key))) {
+            fs.unlinkSync(this.entryPath(key));
+        }
+    }
+
+    setLimit(limitBytes) {
+        this.limitBytes = limitBytes;
+        const removed = this.evict();
+        this.save();
+        return removed;
+    }
+
+    clear() {
+        const count = Object.keys(this.entries).length;
+        for (const key of Object.keys(this.entries)) {
+            this.remove(key);
+        }
+        this.hits = 0;
+        this.misses = 0;
+        this.save();
+        return count;
+    }
+
+    stats() {
+        return {
+            entries: Object.keys(this.entries).length,
+            bytes: this.totalBytes(),
+            limit_bytes: this.limitBytes,
+            hits: this.hits,
+            misses: this.misses,
+            dir: this.dir
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMIT_BYTES,
+    ResultCache,
+    hashFile
+};
@@ -0,0 +1,81 @@
+// Long-file mode: split a recording into overlapping segments and stitch the transcribed notes
+// back into one timeline. Notes use the extractNotes shape from ./midi, with times already
+// shifted to the source file.
+
+// Onsets this close together on either side of a seam are treated as the same note
+const SEAM_TOLERANCE = 0.1;
+
+// A note ending this close to a segment's end was probably cut off by it
+const BOUNDARY_TOLERANCE = 0.05;
+
+// Plan segments covering [start, end) in seconds. Each segment overlaps the next by `overlap`;
+// the seam between them sits in the middle of the overlap, and a note belongs to the segment
+// whose owned range (ownStart to ownEnd) contains its onset.
+function planChunks(start, end, length, overlap) {
+    const step = length - overlap;
+    const chunks = [];
+
+    for (let chunkStart = start; chunkStart < end; chunkStart += step) {
+        const chunkEnd = Math.min(end, chunkStart + length);
+        chunks.push({ index: chunks.length, start: chunkStart, end: chunkEnd });
+        if (chunkEnd >= end) {
+            break;
+        }
+    }
+
+    chunks.forEach((chunk, index) => {
+        chunk.ownStart = index === 0 ? chunk.start : chunks[index - 1].ownEnd;
+        chunk.ownEnd = index === chunks.length - 1 ? Infinity : chunks[index + 1].start + overlap / 2;
+    });
+    return chunks;
+}
+
+function cloneNote(note) {
+    return { ...note, bends: (note.bends || []).map(bend => ({ ...bend })) };
+}
+
+// Add one segment's notes to the stitched list, which must hold every earlier segment already.
+// Notes owned by an earlier segment only extend the ones they continue; notes owned by a later
+// segment are left for it.
+function stitchChunk(stitched, notes, chunk, previous = null) {
+    for (const note of notes) {
+        if (note.start >= chunk.ownEnd) {
+            continue;
+        }
+
+        if (note.start < chunk.ownStart) {
+            // Lengthen the previous segment's copy if it was cut off at that segment's end
+            const match = previous && stitched.find(existing =>
+                existing.pitch === note.pitch &&
+                existing.end >= previous.end - BOUNDARY_TOLERANCE &&
+                existing.start <= note.start + SEAM_TOLERANCE);
+            if (match && note.end > match.end) {
+                match.end = note.end;
+                match.bends.push(...note.bends.filter(bend => bend.time > previous.end).map(bend => ({ ...bend })));
+            }
+            continue;
+        }
+
+        // Onsets detected slightly differently on each side of the seam
+        if (note.start - chunk.ownStart < SEAM_TOLERANCE) {
+            const duplicate = stitched.find(existing =>
+                existing.pitch === note.pitch &&
+                Math.abs(existing.start - note.start) < SEAM_TOLERANCE);
+            if (duplicate) {
+                duplicate.end = Math.max(duplicate.end, note.end);
+                duplicate.velocity = Math.max(duplicate.velocity, note.velocity);
+                continue;
+            }
+        }
+
+        stitched.push(cloneNote(note));
+    }
+
+    return stitched.sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+}
+
+module.exports = {
+    SEAM_TOLERANCE,
+    planChunks,
+    stitchChunk
+};
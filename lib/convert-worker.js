@@ -0,0 +1,12 @@
+// Worker thread for convertInWorker in ./wav: runs convertForDaemon off the main thread and
+// reports back once with either the output path or an error message
+const { parentPort, workerData } = require('worker_threads');
+const { convertForDaemon } = require('./wav');
+
+try {
+    const { inputPath, outputPath, info, options } = workerData;
+    convertForDaemon(inputPath, outputPath, info, options);
+    parentPort.postMessage({ outputPath });
+} catch (error) {
+    parentPort.postMessage({ error: error.message });
+}
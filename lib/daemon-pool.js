@@ -0,0 +1,524 @@
+// The daemon processes, one per flag set: the primary one runs the global flags and the others are
+// started for per-request overrides and evicted when idle. The pool finds and checks the binary,
+// starts daemons, restarts crashed ones with backoff and stops them. It knows nothing about jobs:
+// the lines a daemon prints arrive as 'line' events, and 'ready', 'crashed' and 'stopping' tell the
+// engine when to dispatch or requeue. Every line written to or read from a daemon is also a
+// 'traffic' event, for the trace log. Console text and outlet messages are 'post' and 'outlet'
+// events, as for the engine, and errors are 'failure' events (see reportError).
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { daemonCandidates, checkExecutable, probeDaemon } = require('./binaries');
+
+const DAEMON_PATH_ENV = 'BASIC_PITCH_DAEMON';
+
+// Crash recovery: exponential backoff, giving up after too many crashes in a row
+const RESTART_BACKOFF_BASE_MS = 1000;
+const RESTART_BACKOFF_MAX_MS = 30000;
+const MAX_RESTART_ATTEMPTS = 5;
+const DAEMON_STABLE_MS = 60000; // Uptime after which a crash no longer counts toward the streak
+const DEFAULT_READY_TIMEOUT_MS = 30000;
+
+// Daemons for per-request flag overrides: at most this many run at once, and idle ones are stopped
+const MAX_DAEMONS = 3;
+const DAEMON_IDLE_MS = 120000;
+
+class DaemonPool extends EventEmitter {
+    // cliDir: where per-platform builds are looked for; getTempDir: the folder daemons write into;
+    // isInUse(daemon): whether queued work is waiting for a daemon, so it isn't evicted
+    constructor({ cliDir, getTempDir, isInUse = () => false }) {
+        super();
+        this.cliDir = cliDir;
+        this.getTempDir = getTempDir;
+        this.isInUse = isInUse;
+        this.daemons = new Map(); // flags joined with spaces -> daemon record (see createRecord)
+        this.counter = 0;
+        this.primaryFlags = []; // Global flags, run by the primary daemon
+        this.readyTimeoutMs = DEFAULT_READY_TIMEOUT_MS;
+        this.pathOverride = null; // Set with daemonpath; otherwise the environment, then cliDir
+        this.binary = null; // { path, error, legacy, version, capabilities } from resolveBinary
+    }
+
+    post(message, level = 'info') {
+        this.emit('post', message, level);
+    }
+
+    outlet(...args) {
+        this.emit('outlet', ...args);
+    }
+
+    // Errors go to the engine as 'failure' (code, message, context) to be reported with the rest;
+    // 'error' would throw when nothing listens
+    reportError(code, message, context = {}) {
+        this.emit('failure', code, message, context);
+    }
+
+    createRecord(flags) {
+        const daemon = {
+            id: ++this.counter,
+            key: flags.join(' '),
+            flags: flags,
+            process: null,
+            ready: false,
+            state: 'stopped', // stopped, starting, ready, restarting or failed
+            startedAt: 0,
+            stopRequested: false, // Set by stop so the close handler doesn't restart
+            restartTimer: null,
+            restartCount: 0,
+            consecutiveCrashes: 0,
+            lastExitCode: null,
+            lastExitSignal: null,
+            readyWaiters: [], // Pending waitForReady promises
+            pendingRequests: 0, // Requests waiting to queue a job for this daemon
+            activeJobId: null, // The job currently being preprocessed or transcribed
+            inFlight: [], // jobIds in the order their commands were written to the daemon
+            stdoutBuffer: '', // Holds a partial stdout line until its newline arrives
+            lastUsedAt: Date.now()
+        };
+        this.daemons.set(daemon.key, daemon);
+        return daemon;
+    }
+
+    // The daemon for a flag set, created (but not started) if there isn't one yet
+    get(flags) {
+        return this.daemons.get(flags.join(' ')) || this.createRecord(flags);
+    }
+
+    get primary() {
+        return this.get(this.primaryFlags);
+    }
+
+    // Whether the daemon still belongs to the pool, rather than having been evicted
+    has(daemon) {
+        return this.daemons.get(daemon.key) === daemon;
+    }
+
+    values() {
+        return this.daemons.values();
+    }
+
+    // Whether any job or request is waiting for or running on a daemon
+    isDaemonInUse(daemon) {
+        return daemon.activeJobId !== null || daemon.pendingRequests > 0 || this.isInUse(daemon);
+    }
+
+    // Start a daemon unless it is already running or scheduled to restart. Override daemons only
+    // start while there is room, making room by stopping the least recently used idle one.
+    ensureStarted(daemon) {
+        if (daemon.process || daemon.restartTimer) {
+            return true;
+        }
+
+        if (daemon !== this.primary) {
+            const running = [...this.daemons.values()].filter(other => other.process || other.restartTimer);
+            if (running.length >= MAX_DAEMONS) {
+                const idle = running
+                    .filter(other => other !== this.primary && !this.isDaemonInUse(other))
+                    .sort((a, b) => a.lastUsedAt - b.lastUsedAt)[0];
+                if (!idle) {
+                    return false;
+                }
+                this.evict(idle, 'making room');
+            }
+        }
+
+        daemon.consecutiveCrashes = 0;
+        this.start(daemon);
+        return true;
+    }
+
+    // Stop and forget an override daemon
+    evict(daemon, reason) {
+        this.post(`🧹 Stopping daemon ${daemon.id} (${reason}): ${daemon.key || 'default flags'}`);
+        this.daemons.delete(daemon.key);
+        this.stop(daemon).then(() => {
+            fs.rmSync(path.join(this.getTempDir(), `daemon-${daemon.id}`), { recursive: true, force: true });
+            this.emit('status');
+        });
+    }
+
+    // Stop override daemons that have had nothing to do for a while
+    evictIdle() {
+        const now = Date.now();
+        for (const daemon of [...this.daemons.values()]) {
+            if (daemon === this.primary || this.isDaemonInUse(daemon)) {
+                continue;
+            }
+            if (!daemon.process && !daemon.restartTimer) {
+                this.daemons.delete(daemon.key);
+            } else if (now - daemon.lastUsedAt > DAEMON_IDLE_MS) {
+                this.evict(daemon, `idle for ${Math.round((now - daemon.lastUsedAt) / 1000)}s`);
+            }
+        }
+    }
+
+    start(daemon = this.primary) {
+        // Prevent starting multiple daemons
+        if (daemon.process) {
+            this.post(`⚠️ Daemon already running. Use stop() first if restart needed.`, 'warn');
+            return;
+        }
+
+        // An explicit start supersedes any pending automatic restart
+        if (daemon.restartTimer) {
+            clearTimeout(daemon.restartTimer);
+            daemon.restartTimer = null;
+        }
+
+        const binary = this.binary || this.resolveBinary();
+        if (binary.error) {
+            this.failStart(daemon, binary.error);
+            return;
+        }
+
+        // Builds that list their flags in a capabilities reply are checked up front rather than left
+        // to exit on an unknown one; anything else gets the flags as they are
+        const unsupported = binary.capabilities ? daemon.flags.filter(flag => flag.startsWith('--') && !binary.capabilities.includes(flag)) : [];
+        if (unsupported.length > 0) {
+            const name = binary.version ? `daemon ${binary.version}` : 'the daemon';
+            this.failStart(daemon, `${name} doesn't support ${unsupported.join(' ')}`);
+            return;
+        }
+
+        const cliPath = binary.path;
+
+        // Build command arguments
+        const args = ['--daemon', this.getTempDir(), ...daemon.flags];
+
+        daemon.state = 'starting';
+        daemon.startedAt = Date.now();
+        daemon.stopRequested = false;
+
+        this.post(`Starting BasicPitch daemon ${daemon.id}...`);
+        this.post(`Command: ${cliPath} ${args.join(' ')}`, 'debug');
+        const daemonProcess = spawn(cliPath, args);
+        daemon.process = daemonProcess;
+
+        daemonProcess.stdout.on('data', (data) => {
+            this.handleOutput(daemon, data.toString());
+        });
+
+        // Which stderr lines reach the console is up to the engine's suppression patterns
+        daemonProcess.stderr.on('data', (data) => {
+            for (const line of data.toString().split(/\r?\n/)) {
+                if (line.trim()) {
+                    this.emit('traffic', daemon, 'stderr', line.trim());
+                }
+            }
+        });
+
+        daemonProcess.on('close', (code, signal) => {
+            this.emit('traffic', daemon, 'exit', `code ${code}${signal ? ` (${signal})` : ''}`);
+            this.post(`Daemon ${daemon.id} exited with code ${code}${signal ? ` (${signal})` : ''}`, daemon.stopRequested ? 'info' : 'warn');
+            this.outlet('daemon_closed', code);
+
+            const uptime = Date.now() - daemon.startedAt;
+            daemon.ready = false;
+            daemon.process = null;
+            daemon.lastExitCode = code;
+            daemon.lastExitSignal = signal;
+            daemon.inFlight = [];
+            daemon.stdoutBuffer = '';
+
+            if (daemon.stopRequested) {
+                daemon.state = 'stopped';
+                this.emit('status');
+                return;
+            }
+
+            // A daemon that ran for a while before dying starts a fresh backoff sequence
+            if (uptime > DAEMON_STABLE_MS) {
+                daemon.consecutiveCrashes = 0;
+            }
+            daemon.consecutiveCrashes++;
+
+            this.emit('crashed', daemon, `daemon exited with code ${code}`);
+            this.scheduleRestart(daemon);
+        });
+
+        daemonProcess.on('error', (error) => {
+            const reason = this.describeSpawnError(error, cliPath);
+            this.reportError('DAEMON_START_FAILED', `Failed to start daemon ${daemon.id}: ${reason}`, {
+                file: cliPath,
+                details: { daemon: daemon.id, reason }
+            });
+            daemon.ready = false;
+        });
+
+        this.emit('status');
+    }
+
+    // Buffer raw stdout and hand on complete lines. The ready line is handled here; the rest are
+    // replies to commands, for the engine.
+    handleOutput(daemon, chunk) {
+        daemon.stdoutBuffer += chunk;
+        const lines = daemon.stdoutBuffer.split(/\r?\n/);
+
+        // The last element is an unterminated partial line (or empty) - keep it for the next chunk
+        daemon.stdoutBuffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed) {
+                continue;
+            }
+
+            this.emit('traffic', daemon, 'stdout', trimmed);
+            if (trimmed.includes('Ready for commands')) {
+                daemon.ready = true;
+                daemon.state = 'ready';
+                this.post(`✅ BasicPitch daemon ${daemon.id} is ready for processing`);
+                this.outlet('daemon_ready');
+                this.settleReadyWaiters(daemon);
+                this.emit('status');
+                this.emit('ready', daemon);
+            } else {
+                this.emit('line', daemon, trimmed);
+            }
+        }
+    }
+
+    // Write a command line to a daemon. requestId is the job it belongs to, for the trace log.
+    send(daemon, command, requestId = null) {
+        this.emit('traffic', daemon, 'stdin', command.trim(), requestId);
+        daemon.process.stdin.write(command);
+    }
+
+    // Find the daemon binary for this machine and check it can run. Its version and capabilities
+    // (see probeDaemon) arrive in the background and apply to daemons started and commands sent
+    // once they have; until then, flags and commands are passed through unchecked. The result is
+    // kept for every daemon started afterwards; error is why it can't be used.
+    resolveBinary() {
+        const override = this.pathOverride || process.env[DAEMON_PATH_ENV];
+        const candidates = override ? [path.resolve(override)] : daemonCandidates(this.cliDir);
+        const found = candidates.find(candidate => fs.existsSync(candidate));
+
+        const binary = { path: found || candidates[0], error: null, legacy: false, version: null, capabilities: null };
+        if (!found) {
+            binary.error = override
+                ? `not found: ${candidates[0]}`
+                : `no daemon build for ${process.platform}-${process.arch} (looked for ${candidates.join(', ')})`;
+        } else {
+            binary.error = checkExecutable(found);
+        }
+
+        if (!binary.error) {
+            probeDaemon(found).then(info => {
+                Object.assign(binary, info);
+                const described = binary.legacy ? 'legacy build, no capabilities' : binary.version ? `version ${binary.version}` : '(version unknown)';
+                this.post(`🔎 Daemon ${described}: ${found}`);
+                if (binary.capabilities) {
+                    this.post(`Daemon capabilities: ${binary.capabilities.join(' ')}`);
+                }
+            }).catch(error => {
+                Object.assign(binary, { version: null, capabilities: null });
+                this.post(`⚠️ Couldn't ask the daemon for its version: ${error.message}`, 'warn');
+            });
+        }
+
+        this.binary = binary;
+        return binary;
+    }
+
+    // Whether the daemon build listed a capability in its probe reply, e.g. 'request-id' for builds
+    // that take a command id and echo it on their replies. Legacy builds list nothing, so their
+    // replies are matched in order and checked against the MIDI file they name.
+    supports(capability) {
+        const capabilities = this.binary && this.binary.capabilities;
+        return Boolean(capabilities && capabilities.includes(capability));
+    }
+
+    // Readable reason for a spawn failure that got past checkExecutable
+    describeSpawnError(error, cliPath) {
+        switch (error.code) {
+        case 'ENOENT': return `not found: ${cliPath}`;
+        case 'EACCES': return `not executable: ${cliPath}`;
+        case 'ENOEXEC':
+        case 'EBADARCH': return `wrong architecture or not a program: ${cliPath}`;
+        default: return error.message;
+        }
+    }
+
+    // A daemon that can't start at all is failed straight away instead of retried with backoff
+    failStart(daemon, reason) {
+        this.reportError('DAEMON_START_FAILED', `Cannot start daemon ${daemon.id}: ${reason}`, {
+            file: this.binary ? this.binary.path || '' : '',
+            details: { daemon: daemon.id, reason }
+        });
+        daemon.state = 'failed';
+        daemon.ready = false;
+        this.settleReadyWaiters(daemon, new Error(`Daemon could not start: ${reason}`));
+        this.emit('status');
+    }
+
+    // Point at another daemon binary (null = back to automatic lookup) and restart the daemons on it.
+    // Returns false, leaving the old binary in use, if the new one can't run.
+    async switchBinary(filePath) {
+        const previous = { override: this.pathOverride, binary: this.binary };
+        this.pathOverride = filePath;
+        const binary = this.resolveBinary();
+        if (binary.error) {
+            this.pathOverride = previous.override;
+            this.binary = previous.binary;
+            this.reportError('DAEMON_START_FAILED', `Daemon binary error: ${binary.error}`, {
+                file: binary.path || '',
+                details: { reason: binary.error }
+            });
+            return false;
+        }
+
+        for (const daemon of this.daemons.values()) {
+            await this.stop(daemon);
+        }
+        this.ensureStarted(this.primary);
+        return true;
+    }
+
+    // Restart a crashed daemon with exponential backoff
+    scheduleRestart(daemon) {
+        if (daemon.consecutiveCrashes > MAX_RESTART_ATTEMPTS) {
+            daemon.state = 'failed';
+            this.post(`❌ Daemon crashed ${daemon.consecutiveCrashes} times in a row, not restarting. Send 'flags' or a new file to try again.`, 'error');
+            this.settleReadyWaiters(daemon, new Error('Daemon keeps crashing'));
+            this.emit('status');
+            return;
+        }
+
+        const delay = Math.min(RESTART_BACKOFF_BASE_MS * Math.pow(2, daemon.consecutiveCrashes - 1), RESTART_BACKOFF_MAX_MS);
+        daemon.state = 'restarting';
+
+        this.post(`🔁 Restarting daemon in ${delay}ms (attempt ${daemon.consecutiveCrashes})`, 'warn');
+        this.outlet('daemon_restarting', delay);
+        this.emit('status');
+
+        daemon.restartTimer = setTimeout(() => {
+            daemon.restartTimer = null;
+            daemon.restartCount++;
+            this.start(daemon);
+        }, delay);
+    }
+
+    // Resolves once the daemon reports it is ready; rejects after timeoutMs
+    waitForReady(daemon = this.primary, timeoutMs = this.readyTimeoutMs) {
+        if (daemon.ready) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                daemon.readyWaiters.splice(daemon.readyWaiters.indexOf(waiter), 1);
+                reject(new Error(`Daemon not ready after ${timeoutMs}ms`));
+            }, timeoutMs);
+            daemon.readyWaiters.push(waiter);
+        });
+    }
+
+    settleReadyWaiters(daemon, error = null) {
+        const waiters = daemon.readyWaiters;
+        daemon.readyWaiters = [];
+
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            if (error) {
+                waiter.reject(error);
+            } else {
+                waiter.resolve();
+            }
+        }
+    }
+
+    // Summary of every daemon, for the status dict
+    describe() {
+        const now = Date.now();
+        const primary = this.primary;
+        return [...this.daemons.values()].map(daemon => ({
+            id: daemon.id,
+            flags: daemon.key,
+            primary: daemon === primary ? 1 : 0,
+            state: daemon.state,
+            pid: daemon.process ? daemon.process.pid : 0,
+            active_job: daemon.activeJobId || 0,
+            idle_ms: daemon.activeJobId === null ? now - daemon.lastUsedAt : 0
+        }));
+    }
+
+    // Stop a daemon if running. With force it is killed straight away instead of being asked to
+    // quit, for a daemon that can't be trusted to read the command.
+    stop(daemon = this.primary, force = false) {
+        return new Promise((resolve) => {
+            if (daemon.restartTimer) {
+                clearTimeout(daemon.restartTimer);
+                daemon.restartTimer = null;
+            }
+
+            if (daemon.process) {
+                this.post('🛑 Stopping current daemon...');
+                daemon.ready = false; // Nothing more is sent to it
+
+                const daemonProcess = daemon.process;
+                daemon.stopRequested = true;
+
+                // Set up cleanup when process closes
+                daemonProcess.once('close', () => {
+                    daemon.ready = false;
+                    daemon.process = null;
+                    this.post('✅ Daemon stopped');
+                    resolve();
+                });
+
+                // A job interrupted by the stop runs again on the next daemon
+                this.emit('stopping', daemon);
+
+                if (force) {
+                    daemonProcess.kill('SIGKILL');
+                    return;
+                }
+
+                // Send quit command and kill if necessary
+                this.send(daemon, 'quit\n');
+
+                // Force kill after timeout
+                setTimeout(() => {
+                    if (daemonProcess.exitCode === null && daemonProcess.signalCode === null) {
+                        daemonProcess.kill('SIGKILL');
+                    }
+                }, 3000);
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    // Kill a daemon that stopped answering and start a new one with the same flags, unless it was
+    // evicted in the meantime
+    async restart(daemon) {
+        this.post(`🔁 Restarting unresponsive daemon ${daemon.id}...`, 'warn');
+        await this.stop(daemon, true);
+        if (this.has(daemon)) {
+            this.ensureStarted(daemon);
+        }
+    }
+
+    // Ask every daemon to quit, without waiting, and cancel pending restarts
+    shutdown() {
+        for (const daemon of this.daemons.values()) {
+            if (daemon.restartTimer) {
+                clearTimeout(daemon.restartTimer);
+            }
+
+            if (daemon.process) {
+                daemon.stopRequested = true;
+                this.post(`Stopping daemon ${daemon.id}...`);
+                this.send(daemon, 'quit\n');
+                daemon.process.kill();
+            }
+        }
+    }
+}
+
+module.exports = {
+    DaemonPool,
+    DAEMON_PATH_ENV
+};
@@ -0,0 +1,2661 @@
+// The transcription engine: flags, preprocessing, job dispatch and output parsing, with no
+// dependency on Max. The daemons themselves are run by lib/daemon-pool.js, the queue is kept by
+// lib/jobs.js and watch folders are polled by lib/watch.js. Progress and results are emitted as
+// 'post' (console text) and 'outlet' (the messages the Max object sends) events; transcribe()
+// gives a promise per file.
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { readMidiNotes, writeMidi } = require('./midi');
+const NotePlayer = require('./player');
+const SampleRecorder = require('./samples');
+const { processRhythm } = require('./rhythm');
+const { processPitch, NOTE_NAMES, FLAT_NAMES, SCALES } = require('./pitch');
+const { EXPORT_FORMATS, EXPORT_SUFFIXES, formatNotes } = require('./export');
+const { analyzeNotes } = require('./analysis');
+const { inspectAudioFile, isDaemonReady, convertInWorker } = require('./wav');
+const { planChunks, stitchChunk } = require('./chunks');
+const { BUILTIN_PRESETS, loadPresetStore, savePresetStore, findPreset } = require('./presets');
+const { ResultCache, hashFile } = require('./cache');
+const { findFFmpeg, checkExecutable } = require('./binaries');
+const { DaemonPool } = require('./daemon-pool');
+const { JobQueue } = require('./jobs');
+const { FolderWatcher, findAudioFiles, BATCH_DEFAULT_EXTENSIONS } = require('./watch');
+const { DEFAULT_LOG_LEVEL, DEFAULT_SUPPRESS_PATTERNS, DEFAULT_TRACE_MAX_BYTES, DEFAULT_TRACE_FILES,
+    parseLogLevel, isLevelEnabled, compilePattern, TraceLog } = require('./logger');
+const { ERROR_CODES, BasicPitchError } = require('./errors');
+
+// Everything the engine keeps on disk lives in the project folder, next to basic-pitch-cli
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Daemon scratch output, also where audio sent as sample data is written before transcription.
+// Each engine works in its own run-<pid>-XXXXXX folder in here (see getTempDir), so they don't touch
+// each other's files when several devices run at once.
+const TEMP_DIR = path.join(ROOT_DIR, 'temp-midi');
+
+// Transcriptions of audio sent as sample data, unless outdir is set. The recordings themselves are
+// deleted once transcribed, so this is the only copy.
+const SAMPLES_DIR = path.join(ROOT_DIR, 'sample-midi');
+
+// Daemon builds live here, per platform (see lib/binaries.js). The environment variables, or the
+// daemonpath/ffmpegpath messages, point at a binary anywhere else.
+const CLI_DIR = path.join(ROOT_DIR, 'basic-pitch-cli');
+const FFMPEG_PATH_ENV = 'BASIC_PITCH_FFMPEG';
+
+// Job timeouts scale with the length of the audio handed to the daemon
+const JOB_TIMEOUT_BASE_MS = 20000;
+const JOB_TIMEOUT_PER_AUDIO_SECOND_MS = 1000;
+const MAX_JOB_ATTEMPTS = 3; // A job that crashes the daemon this many times is failed
+
+// Progress estimates assume this much daemon time per second of audio until a job has been
+// measured; after that, each finished job moves the estimate by PROGRESS_SMOOTHING of the difference
+const DEFAULT_MS_PER_AUDIO_SECOND = 100;
+const PROGRESS_SMOOTHING = 0.3;
+const PROGRESS_INTERVAL_MS = 500;
+
+// The model's pitch range, A0 to C8: the default min/max-frequency, and the filter cutoffs used
+// when those aren't set
+const MODEL_MIN_FREQUENCY = 27.5;
+const MODEL_MAX_FREQUENCY = 4186;
+
+// Daemon parameters, set globally with `flags` or per request after the file path. This table
+// drives validation, the help text and the `params` dict; defaults are what the daemon uses when
+// a flag is left out.
+const PARAMETER_SCHEMA = {
+    'onset-threshold': {
+        min: 0.0,
+        max: 1.0,
+        type: 'number',
+        default: 0.5,
+        description: 'Onset threshold (higher = fewer onsets detected)'
+    },
+    'frame-threshold': {
+        min: 0.0,
+        max: 1.0,
+        type: 'number',
+        default: 0.3,
+        description: 'Frame threshold (higher = fewer notes detected)'
+    },
+    'min-frequency': {
+        min: 20.0,
+        max: 8000.0,
+        type: 'number',
+        default: MODEL_MIN_FREQUENCY,
+        description: 'Minimum frequency in Hz'
+    },
+    'max-frequency': {
+        min: 20.0,
+        max: 8000.0,
+        type: 'number',
+        default: MODEL_MAX_FREQUENCY,
+        description: 'Maximum frequency in Hz'
+    },
+    'min-note-length': {
+        min: 0.01,
+        max: 10.0,
+        type: 'number',
+        default: 0.127,
+        description: 'Minimum note length in seconds'
+    },
+    'tempo-bpm': {
+        min: 60.0,
+        max: 200.0,
+        type: 'number',
+        default: 120,
+        description: 'Tempo in BPM for beat tracking'
+    },
+    'use-melodia-trick': {
+        type: 'boolean',
+        default: true,
+        description: 'Use melodia trick for better pitch tracking'
+    },
+    'include-pitch-bends': {
+        type: 'boolean',
+        default: true,
+        description: 'Include pitch bends in MIDI output'
+    }
+};
+const DAEMON_PARAMETERS = Object.keys(PARAMETER_SCHEMA);
+
+// User presets and the last preset loaded, reloaded at startup (see lib/presets.js)
+const PRESETS_FILE = path.join(ROOT_DIR, 'basic-pitch-presets.json');
+
+// Finished transcriptions, reused when the same audio is sent again with the same settings
+const CACHE_DIR = path.join(ROOT_DIR, 'midi-cache');
+
+// Formats the daemon can't read reliably; these are always run through ffmpeg first
+const PROBLEMATIC_FORMATS = ['.mp3', '.m4a', '.aac', '.flac', '.ogg'];
+
+// Uncompressed formats that lib/wav.js can convert without ffmpeg
+const JS_DECODABLE_FORMATS = ['.wav', '.wave', '.aif', '.aiff', '.aifc'];
+
+// Long-file mode: recordings longer than the threshold are transcribed in overlapping chunks
+const CHUNK_THRESHOLD_SECONDS = 300;
+const CHUNK_LENGTH_SECONDS = 60;
+const CHUNK_OVERLAP_SECONDS = 4;
+
+// MIDI file names: {basename} of the source, {timestamp} of the request, {preset} loaded,
+// {flags} the job runs with and {overrides} given with the request (both ".key-value..." or "")
+const DEFAULT_FILENAME_TEMPLATE = '{basename}{overrides}';
+
+// What to do when the MIDI file a job would write already exists
+const OVERWRITE_POLICIES = ['overwrite', 'version', 'skip'];
+
+class BasicPitchEngine extends EventEmitter {
+    // The folders and files the engine keeps on disk default to the project folder's; tests and
+    // other hosts can put them elsewhere
+    constructor({ tempDir = TEMP_DIR, samplesDir = SAMPLES_DIR, cacheDir = CACHE_DIR, presetsFile = PRESETS_FILE, cliDir = CLI_DIR } = {}) {
+        super();
+        this.tempRoot = tempDir;
+        this.samplesDir = samplesDir;
+        this.presetsFile = presetsFile;
+        this.daemonParams = {}; // The validated parameters the global flags came from
+        this.currentPreset = null; // Name of the preset the global flags came from, if any
+        this.ffmpegPathOverride = null;
+        this.jobTimeoutBaseMs = JOB_TIMEOUT_BASE_MS;
+        this.jobTimeoutPerSecondMs = JOB_TIMEOUT_PER_AUDIO_SECOND_MS;
+        this.lastMidiPath = null; // Most recent successful transcription, the default for `play`
+        this.rhythmOptions = {}; // Validated post-processing options; both empty = no processed copy
+        this.pitchOptions = {};
+        this.exportFormats = []; // Extra formats written next to each MIDI file (lib/export.js)
+        this.outputDir = null; // Folder for MIDI files; null = next to the source
+        this.tempDir = null; // This engine's folder in tempRoot, created on first use
+        this.filenameTemplate = DEFAULT_FILENAME_TEMPLATE;
+        this.overwritePolicy = 'overwrite';
+        this.chunkThreshold = CHUNK_THRESHOLD_SECONDS; // 0 = long-file mode off
+        this.chunkLength = CHUNK_LENGTH_SECONDS;
+        this.chunkOverlap = CHUNK_OVERLAP_SECONDS;
+        this.msPerAudioSecond = DEFAULT_MS_PER_AUDIO_SECOND; // Measured daemon throughput, for progress
+        this.throughputMeasured = false;
+        this.progressTimer = null; // Runs while any job is running
+        this.player = new NotePlayer();
+        this.samples = new SampleRecorder();
+        this.cache = new ResultCache(cacheDir);
+        this.cleanupTimer = null;
+        this.logLevel = DEFAULT_LOG_LEVEL;
+        this.traceLog = null; // TraceLog of raw daemon traffic, when turned on
+        this.suppressPatterns = DEFAULT_SUPPRESS_PATTERNS.map(compilePattern); // Daemon stderr lines to drop
+        
+        this.jobs = new JobQueue();
+        this.jobs.on('state', job => this.outlet('job_state', job.id, job.fileName, job.state));
+        
+        // A daemon with queued jobs for its flags is in use even while it has nothing running
+        this.pool = new DaemonPool({
+            cliDir,
+            getTempDir: () => this.getTempDir(),
+            isInUse: daemon => this.jobs.waiting().some(job => this.getJobFlags(job).join(' ') === daemon.key)
+        });
+        this.pool.on('post', (message, level) => this.post(message, level));
+        this.pool.on('outlet', (...args) => this.outlet(...args));
+        this.pool.on('failure', (code, message, context) => this.reportError(code, message, context));
+        this.pool.on('status', () => this.emitStatus());
+        this.pool.on('ready', () => this.pumpQueue());
+        this.pool.on('line', (daemon, line) => this.handleDaemonLine(daemon, line));
+        this.pool.on('crashed', (daemon, reason) => this.requeueActiveJob(daemon, reason));
+        this.pool.on('stopping', daemon => this.requeueActiveJob(daemon, 'daemon stopped', false));
+        this.pool.on('traffic', (daemon, stream, text, requestId) => this.traceDaemon(daemon, stream, text, requestId));
+        
+        this.watcher = new FolderWatcher(filePath => this.processAudioFile(filePath));
+        this.watcher.on('post', (message, level) => this.post(message, level));
+        this.watcher.on('outlet', (...args) => this.outlet(...args));
+        this.watcher.on('failure', (code, message, context) => this.reportError(code, message, context));
+        
+        // Bind methods to preserve 'this' context
+        this.processAudioFile = this.processAudioFile.bind(this);
+        this.preprocessAudioFile = this.preprocessAudioFile.bind(this);
+        
+        this.setupPlayer();
+    }
+
+    // Console text at a log level (see lib/logger.js), shown in the Max window by the adapter
+    post(message, level = 'info') {
+        if (isLevelEnabled(level, this.logLevel)) {
+            this.emit('post', message, level);
+        }
+    }
+
+    // A message for the Max object's outlet: a name, then its arguments (dicts as plain objects)
+    outlet(...args) {
+        this.emit('outlet', ...args);
+    }
+
+    // Every error goes out the same way: error <code> <request_id> <file> <message>, then an
+    // error_detail dict with those fields and the details (see lib/errors.js). Job errors take
+    // the job's request id and file.
+    reportError(code, message, { job = null, file = '', requestId = 0, details = {} } = {}) {
+        const errorFile = job ? job.filePath : String(file || '');
+        const errorRequestId = job ? job.requestId : requestId || 0;
+        
+        this.post(`❌ ${message}${job ? ` (job ${job.id}: ${job.fileName})` : ''}`, 'error');
+        this.outlet('error', code, errorRequestId, errorFile, message);
+        this.outlet('error_detail', {
+            code,
+            request_id: errorRequestId,
+            job: job ? job.id : 0,
+            file: errorFile,
+            message,
+            ...details
+        });
+    }
+
+    // Report a caught exception, with its own code if it has one
+    reportException(error, fallbackCode, context = {}) {
+        this.reportError(this.errorCodeOf(error, fallbackCode), error.message, {
+            ...context,
+            details: { ...error.details, ...context.details }
+        });
+    }
+
+    errorCodeOf(error, fallbackCode) {
+        return error && Object.prototype.hasOwnProperty.call(ERROR_CODES, error.code) ? error.code : fallbackCode;
+    }
+
+    // Report a job's error and finish it as failed
+    failJob(job, code, message, details = {}) {
+        job.errorCode = code;
+        this.reportError(code, message, { job, details });
+        this.finishJob(job, 'failed', message);
+    }
+
+    // The global flags are the ones the primary daemon runs
+    get daemonFlags() {
+        return this.pool.primaryFlags;
+    }
+
+    set daemonFlags(flags) {
+        this.pool.primaryFlags = flags;
+    }
+
+    get daemon() {
+        return this.pool.primary;
+    }
+
+    // Clear out crashed runs' temp files, pick the global parameters and start the primary daemon.
+    // A named preset and/or validated params (see parseMaxListToParams) replace the last preset,
+    // which is otherwise restored unless restorePreset is false.
+    start({ preset = null, params = null, restorePreset = true } = {}) {
+        if (preset) {
+            const found = findPreset(loadPresetStore(this.presetsFile), preset);
+            if (!found) {
+                throw new BasicPitchError('INVALID_ARGUMENT', `No preset named ${preset}`);
+            }
+            this.daemonParams = this.validatePresetParams(found);
+            this.currentPreset = found.name;
+        }
+        if (params && Object.keys(params).length > 0) {
+            this.daemonParams = { ...this.daemonParams, ...params };
+            this.currentPreset = null;
+        }
+        if (preset || params) {
+            this.daemonFlags = this.paramsToFlags(this.daemonParams);
+        } else if (restorePreset) {
+            this.loadStartupPreset();
+        }
+        
+        this.cleanupTempFiles();
+        this.pool.start(this.daemon);
+        
+        // Check each daemon's active job against its timeout every 5 seconds
+        this.cleanupTimer = setInterval(() => {
+            this.checkJobTimeouts();
+            this.pool.evictIdle();
+        }, 5000);
+    }
+    
+    // Settings changed by messages. Each reports the new value and throws on a bad one.
+    setReadyTimeout(ms) {
+        const timeout = parseInt(ms);
+        if (isNaN(timeout) || timeout <= 0) {
+            throw new Error('readytimeout needs a positive number of milliseconds');
+        }
+        
+        this.pool.readyTimeoutMs = timeout;
+        this.post(`Ready timeout set to ${timeout}ms`);
+    }
+    
+    // Long-file mode: files over threshold seconds are split; threshold 0 = off
+    setChunking(threshold, length = this.chunkLength, overlap = this.chunkOverlap) {
+        const values = [threshold, length, overlap].map(value => parseFloat(value));
+        if (values.some(value => isNaN(value) || value < 0)) {
+            throw new Error('chunking needs <threshold_s> [length_s] [overlap_s]');
+        }
+        const [newThreshold, newLength, newOverlap] = values;
+        if (newThreshold > 0 && (newLength < 10 || newOverlap >= newLength / 2)) {
+            throw new Error('chunks must be at least 10s long and overlap by less than half their length');
+        }
+        
+        this.chunkThreshold = newThreshold;
+        this.chunkLength = newLength;
+        this.chunkOverlap = newOverlap;
+        this.post(this.chunkThreshold > 0
+            ? `✂️ Files over ${this.chunkThreshold}s are transcribed in ${this.chunkLength}s chunks overlapping by ${this.chunkOverlap}s`
+            : '✂️ Long-file mode off');
+        this.outlet('chunking', this.chunkThreshold, this.chunkLength, this.chunkOverlap);
+    }
+    
+    // ffmpeg binary to use; none goes back to searching for it
+    setFFmpegPath(filePath) {
+        if (filePath === undefined || filePath === null || filePath === '') {
+            this.ffmpegPathOverride = null;
+            this.post('🔎 ffmpeg is searched for automatically');
+            return;
+        }
+        
+        const resolved = path.resolve(String(filePath));
+        const error = checkExecutable(resolved);
+        if (error) {
+            throw new BasicPitchError('FFMPEG_MISSING', `ffmpeg ${error}`);
+        }
+        this.ffmpegPathOverride = resolved;
+        this.post(`🔎 Using ffmpeg at ${resolved}`);
+    }
+    
+    // Folder for MIDI files, created if needed; none puts them next to the source again
+    setOutputDir(dir) {
+        if (dir === undefined || dir === null || dir === '') {
+            this.outputDir = null;
+            this.post('📁 MIDI files are written next to their source');
+            this.outlet('outdir', '');
+            return;
+        }
+        
+        const resolved = path.resolve(String(dir));
+        if (!fs.existsSync(resolved)) {
+            fs.mkdirSync(resolved, { recursive: true });
+        }
+        if (!fs.statSync(resolved).isDirectory()) {
+            throw new Error(`Not a folder: ${dir}`);
+        }
+        this.outputDir = resolved;
+        this.post(`📁 MIDI files are written to ${resolved}`);
+        this.outlet('outdir', resolved);
+    }
+    
+    // MIDI file name template (see resolveMidiPath); empty restores the default
+    setFilenameTemplate(template) {
+        const value = String(template || '').trim() || DEFAULT_FILENAME_TEMPLATE;
+        const unknown = (value.match(/\{[^}]*\}/g) || [])
+            .filter(token => !['{basename}', '{timestamp}', '{preset}', '{flags}', '{overrides}'].includes(token));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown filename tokens: ${unknown.join(' ')}`);
+        }
+        
+        this.filenameTemplate = value;
+        this.post(`📝 MIDI file names: ${value}.mid`);
+        this.outlet('filename', value);
+    }
+    
+    // What happens when a job's MIDI file already exists
+    setOverwritePolicy(policy) {
+        const name = String(policy).toLowerCase();
+        if (!OVERWRITE_POLICIES.includes(name)) {
+            throw new Error(`overwrite needs one of ${OVERWRITE_POLICIES.join(', ')}`);
+        }
+        
+        this.overwritePolicy = name;
+        this.post(`📝 Existing MIDI files: ${name}`);
+        this.outlet('overwrite', name);
+    }
+    
+    // Rhythmic post-processing from a list of key/value pairs (see lib/rhythm.js); empty = off
+    setRhythmOptions(maxList) {
+        this.rhythmOptions = this.parseOptionList(maxList, this.validateRhythmOption.bind(this));
+        this.post(maxList.length === 0 ? '🎚️ Post-processing off' : `🎚️ Post-processing: ${JSON.stringify(this.rhythmOptions)}`);
+        this.outlet('postprocess_applied', this.rhythmOptions);
+    }
+    
+    // Pitch cleanup from a list of key/value pairs (see lib/pitch.js); empty = off. Applies to the
+    // next finished job, no daemon restart
+    setPitchOptions(maxList) {
+        this.pitchOptions = this.parseOptionList(maxList, this.validatePitchOption.bind(this));
+        this.post(maxList.length === 0 ? '🎼 Pitch cleanup off' : `🎼 Pitch cleanup: ${JSON.stringify(this.pitchOptions)}`);
+        this.outlet('pitch_applied', this.pitchOptions);
+    }
+    
+    // Formats written next to every MIDI file; none turns exports off
+    setExportFormats(formats) {
+        this.exportFormats = this.validateExportFormats(formats);
+        this.post(this.exportFormats.length > 0 ? `📤 Export formats: ${this.exportFormats.join(' ')}` : '📤 Exports off');
+        this.outlet('export_formats', ...this.exportFormats);
+    }
+    
+    // Cancel every queued job and forget finished ones; returns how many were cancelled
+    clearQueue() {
+        const queued = this.jobs.waiting();
+        for (const job of queued) {
+            this.cancelJob(job);
+        }
+        this.jobs.forgetFinished();
+        
+        this.post(`🧹 Cleared queue (${queued.length} job${queued.length === 1 ? '' : 's'} cancelled)`);
+        this.outlet('cleared', queued.length);
+        return queued.length;
+    }
+    
+    // Move a queued job to the front of the queue
+    prioritizeJob(jobId) {
+        const job = this.jobs.prioritize(jobId);
+        if (!job) {
+            throw new Error(`Job ${jobId} is not queued`);
+        }
+        
+        this.post(`⏫ Job ${job.id} moved to front of queue: ${job.fileName}`);
+        this.outlet('priority', job.id, job.fileName);
+    }
+    
+    // Sample data arrives as beginSamples, any number of appendSamples calls with interleaved
+    // values, then transcribeSamples
+    beginSamples(name, sampleRate = 44100, channels = 1) {
+        const session = this.samples.begin(name, sampleRate, channels);
+        this.post(`🎙️ Receiving samples: ${name} (${session.sampleRate} Hz, ${session.channels} channel${session.channels === 1 ? '' : 's'})`);
+    }
+    
+    appendSamples(name, values) {
+        this.samples.append(name, values);
+    }
+    
+    cancelSamples(name) {
+        if (this.samples.cancel(name)) {
+            this.post(`🎙️ Discarded samples: ${name}`);
+        }
+    }
+    
+    setLogLevel(level) {
+        this.logLevel = parseLogLevel(level);
+        this.post(`🔈 Log level: ${this.logLevel}`, 'error'); // Shown whatever the new level is
+        this.outlet('verbose', this.logLevel);
+    }
+    
+    // Record raw daemon traffic in a rotating file; no file turns the trace off
+    setTraceLog(filePath, maxMegabytes = DEFAULT_TRACE_MAX_BYTES / 1048576, files = DEFAULT_TRACE_FILES) {
+        if (filePath === undefined || filePath === null || filePath === '' || filePath === 'off') {
+            this.traceLog = null;
+            this.post('📜 Trace log off');
+            this.outlet('tracelog', '');
+            return;
+        }
+        
+        const maxBytes = Math.round(parseFloat(maxMegabytes) * 1048576);
+        const keep = parseInt(files);
+        if (isNaN(maxBytes) || maxBytes <= 0 || isNaN(keep) || keep < 1 || keep > 20) {
+            throw new Error('tracelog needs <file> [max_MB] [files 1-20]');
+        }
+        
+        const resolved = path.resolve(String(filePath));
+        this.traceLog = new TraceLog(resolved, maxBytes, keep);
+        this.post(`📜 Tracing daemon traffic to ${resolved} (${maxBytes / 1048576} MB, ${keep} old file${keep === 1 ? '' : 's'} kept)`);
+        this.outlet('tracelog', resolved);
+    }
+    
+    // Daemon stderr lines matching any of these regular expressions are dropped from the console
+    // (they still reach the trace log): add, remove, clear, reset to the defaults or list
+    setSuppressPatterns(action, pattern) {
+        switch (action) {
+        case 'add':
+            if (pattern === undefined || pattern === '') {
+                throw new Error('suppress add needs a pattern');
+            }
+            if (!this.suppressPatterns.some(regex => regex.source === String(pattern))) {
+                this.suppressPatterns.push(compilePattern(String(pattern)));
+            }
+            break;
+        case 'remove': {
+            const count = this.suppressPatterns.length;
+            this.suppressPatterns = this.suppressPatterns.filter(regex => regex.source !== String(pattern));
+            if (this.suppressPatterns.length === count) {
+                throw new Error(`Not a suppress pattern: ${pattern}`);
+            }
+            break;
+        }
+        case 'clear': this.suppressPatterns = []; break;
+        case 'reset': this.suppressPatterns = DEFAULT_SUPPRESS_PATTERNS.map(compilePattern); break;
+        case 'list': break;
+        default: throw new Error('suppress needs add, remove, clear, reset or list');
+        }
+        
+        const sources = this.suppressPatterns.map(regex => regex.source);
+        this.post(`🔇 Suppressed daemon stderr: ${sources.length > 0 ? sources.join(' | ') : '(none)'}`);
+        this.outlet('suppress', ...sources);
+    }
+    
+    // One line of daemon traffic (a pool 'traffic' event): to the trace file, and to the console at
+    // trace level. Output lines belong to a reply's [id] tag or else the oldest command in flight,
+    // as in takeInFlightJob. Stderr lines also reach the console as warnings unless suppressed.
+    traceDaemon(daemon, stream, text, requestId = null) {
+        if (requestId === null && stream !== 'stdin') {
+            const tagged = text.match(/^\[(\d+)\]/);
+            requestId = tagged ? tagged[1] : daemon.inFlight[0];
+        }
+        if (this.traceLog) {
+            try {
+                this.traceLog.write(`daemon-${daemon.id}`, stream, requestId, text);
+            } catch (error) {
+                this.traceLog = null;
+                this.post(`⚠️ Trace log off, could not write it: ${error.message}`, 'warn');
+            }
+        }
+        this.post(`↔️ ${daemon.id} ${stream}: ${text}`, 'trace');
+        
+        if (stream === 'stderr' && !this.suppressPatterns.some(regex => regex.test(text))) {
+            this.post(`Daemon error: ${text}`, 'warn');
+        }
+    }
+    
+    // Fail running jobs that have outlived their timeout. The daemon is hung or still busy with the
+    // abandoned command, so anything sent to it now would be answered late or not at all. It is
+    // replaced, and the jobs queued for it run on the new one once it is ready.
+    checkJobTimeouts() {
+        for (const daemon of this.pool.values()) {
+            const job = this.jobs.get(daemon.activeJobId);
+            if (!job || job.state !== 'running') {
+                continue;
+            }
+            
+            const age = Date.now() - job.startTime;
+            if (age > job.timeoutMs) {
+                this.failJob(job, 'TIMEOUT', `Timed out after ${Math.round(age/1000)}s (limit ${Math.round(job.timeoutMs/1000)}s)`, {
+                    elapsed_ms: age,
+                    timeout_ms: job.timeoutMs
+                });
+                this.restartHungDaemon(daemon);
+            }
+        }
+    }
+    
+    setupPlayer() {
+        this.player.on('note', (pitch, velocity, duration) => {
+            this.outlet('note', pitch, velocity, duration);
+        });
+        this.player.on('loop', (cycle) => {
+            this.outlet('play_loop', cycle);
+        });
+        this.player.on('end', () => {
+            this.post('⏹️ Playback finished');
+            this.outlet('play_end');
+        });
+    }
+    
+    // Play a transcription by MIDI path or job id; without a target, the latest one
+    play(target) {
+        const midiPath = this.resolvePlaybackSource(target);
+        if (!midiPath) {
+            this.reportError('INVALID_ARGUMENT', `Nothing to play for: ${target === undefined ? '(latest)' : target}`, { file: target === undefined ? '' : target });
+            return;
+        }
+        
+        try {
+            const { notes, tempo_bpm } = this.buildNoteDict(midiPath, midiPath);
+            this.player.load(notes, tempo_bpm);
+            this.post(`▶️ Playing ${path.basename(midiPath)} (${notes.length} notes)`);
+            this.outlet('play_start', midiPath, notes.length);
+            this.player.play();
+        } catch (error) {
+            this.reportError('OUTPUT_FAILED', `Could not play ${path.basename(midiPath)}: ${error.message}`, { file: midiPath });
+        }
+    }
+    
+    // Resolve a play target (job id or MIDI path) to a MIDI file on disk
+    resolvePlaybackSource(target) {
+        if (target === undefined || target === '') {
+            return this.lastMidiPath;
+        }
+        
+        const jobId = parseInt(target);
+        if (String(jobId) === String(target).trim()) {
+            const job = this.jobs.get(jobId);
+            return job && job.midiPath ? job.midiPath : null;
+        }
+        
+        return fs.existsSync(target) ? target : null;
+    }
+    
+    // Point at another daemon binary (null = back to automatic lookup) and restart the daemons on it.
+    // Jobs interrupted by the restart are requeued; a binary that can't run leaves the old one in use.
+    async switchDaemonBinary(filePath) {
+        if (await this.pool.switchBinary(filePath)) {
+            this.pumpQueue();
+        }
+    }
+    
+    // Put the job that was running on a stopped or crashed daemon back at the front of the queue
+    requeueActiveJob(daemon, reason, countAttempt = true) {
+        const job = this.jobs.get(daemon.activeJobId);
+        if (!job || job.state !== 'running') {
+            return;
+        }
+        
+        if (countAttempt) {
+            job.attempts++;
+        }
+        daemon.activeJobId = null;
+        
+        if (job.attempts >= MAX_JOB_ATTEMPTS) {
+            // Probably the file itself is what takes the daemon down
+            this.failJob(job, 'DAEMON_CRASHED', `Gave up after ${job.attempts} attempts: ${reason}`, {
+                attempts: job.attempts,
+                exit_code: daemon.lastExitCode === null ? -1 : daemon.lastExitCode,
+                exit_signal: daemon.lastExitSignal || ''
+            });
+            return;
+        }
+        
+        this.post(`↩️ Resubmitting job ${job.id} (${reason}): ${job.fileName}`, 'warn');
+        job.startTime = null;
+        job.daemonFlags = null;
+        this.jobs.setState(job, 'queued');
+        this.jobs.unshift(job);
+    }
+    
+    // Health of the primary daemon, plus a summary of every daemon in the pool
+    getDaemonHealth() {
+        const daemon = this.daemon;
+        const binary = this.pool.binary;
+        return {
+            state: daemon.state,
+            ready: daemon.ready ? 1 : 0,
+            pid: daemon.process ? daemon.process.pid : 0,
+            uptime_ms: daemon.process ? Date.now() - daemon.startedAt : 0,
+            restarts: daemon.restartCount,
+            consecutive_crashes: daemon.consecutiveCrashes,
+            last_exit_code: daemon.lastExitCode === null ? -1 : daemon.lastExitCode,
+            last_exit_signal: daemon.lastExitSignal || '',
+            flags: this.daemonFlags.join(' '),
+            preset: this.currentPreset || '',
+            daemon_path: binary ? binary.path : '',
+            daemon_version: (binary && binary.version) || '',
+            daemon_error: (binary && binary.error) || '',
+            ready_timeout_ms: this.pool.readyTimeoutMs,
+            log_level: this.logLevel,
+            trace_file: this.traceLog ? this.traceLog.filePath : '',
+            pending: this.getQueueReport().count,
+            daemons: this.pool.describe()
+        };
+    }
+    
+    emitStatus() {
+        this.outlet('status', this.getDaemonHealth());
+    }
+
+    // Kill a daemon that stopped answering and start a new one with the same flags, unless it was
+    // evicted in the meantime. Jobs queued for it run once the new one is ready.
+    async restartHungDaemon(daemon) {
+        await this.pool.restart(daemon);
+        this.pumpQueue();
+    }
+
+    // Set the global flags from a Max list of parameter/value pairs. Hand-set flags no longer
+    // match any preset, so the current preset is cleared along with the switch.
+    setDaemonFlags(maxList) {
+        this.post(`📝 Received flags: ${JSON.stringify(maxList)}`);
+        
+        // Parse and validate the parameters
+        const params = this.parseMaxListToParams(maxList);
+        const flags = this.paramsToFlags(params);
+        
+        if (flags.length === 0) {
+            this.post('📝 No parameters provided, using default settings');
+            return;
+        }
+        
+        this.post(`✅ Parsed flags: ${flags.join(' ')}`);
+        this.restartDaemonWithFlags(flags, params, null);
+    }
+
+    // Switch the global flags, and the preset they came from (null for none). A daemon already
+    // running those flags takes over as primary; otherwise one is started. The old primary finishes
+    // its current job and is evicted once idle, so queued jobs move to the new flags without
+    // anyone's transcription being interrupted. If the new daemon doesn't come up, the previous
+    // flags stay in use.
+    async restartDaemonWithFlags(flags, params = {}, preset = null) {
+        this.post('🔄 Switching daemon to new parameters...');
+        
+        const previous = this.daemon;
+        const restore = { flags: this.daemonFlags, params: this.daemonParams, preset: this.currentPreset };
+        let daemon = null;
+        try {
+            this.daemonFlags = flags;
+            this.daemonParams = params;
+            this.currentPreset = preset;
+            previous.lastUsedAt = Date.now();
+            
+            daemon = this.daemon;
+            if (daemon.process) {
+                this.post(`♻️ Reusing running daemon ${daemon.id} for these flags`);
+            } else {
+                this.pool.ensureStarted(daemon);
+            }
+            
+            this.outlet('daemon_restarting');
+            this.emitStatus();
+            this.pumpQueue();
+            
+            // Applied once a daemon with these flags is ready
+            if (daemon.state === 'failed') {
+                throw new Error('Daemon could not start');
+            }
+            await this.pool.waitForReady(daemon);
+            if (this.daemon === daemon) {
+                this.post('✅ Daemon switched to the new parameters');
+                this.outlet('flags_applied', flags.join(' '));
+            }
+            
+        } catch (error) {
+            // Back to the flags that work, unless another switch has come in since
+            if (!daemon || this.daemon === daemon) {
+                this.daemonFlags = restore.flags;
+                this.daemonParams = restore.params;
+                this.currentPreset = restore.preset;
+                previous.lastUsedAt = Date.now();
+                this.emitStatus();
+                this.pumpQueue();
+            }
+            this.reportError('DAEMON_NOT_READY', `Flags not applied, keeping ${restore.flags.join(' ') || 'default settings'}: ${error.message}`, {
+                details: { flags: flags.join(' ') }
+            });
+        }
+    }
+
+    // Max dicts have no booleans, so boolean parameters are reported as 1/0 with a 0-1 range
+    getParameterSchema() {
+        const parameters = {};
+        for (const [name, info] of Object.entries(PARAMETER_SCHEMA)) {
+            const isBoolean = info.type === 'boolean';
+            parameters[name] = {
+                name,
+                type: info.type,
+                min: isBoolean ? 0 : info.min,
+                max: isBoolean ? 1 : info.max,
+                default: isBoolean ? (info.default ? 1 : 0) : info.default,
+                description: info.description
+            };
+        }
+        return { names: DAEMON_PARAMETERS, parameters };
+    }
+
+    // Every parameter's value for the global flags; `set` lists the ones given explicitly
+    getActiveParams() {
+        const values = {};
+        for (const [name, info] of Object.entries(PARAMETER_SCHEMA)) {
+            const value = Object.prototype.hasOwnProperty.call(this.daemonParams, name) ? this.daemonParams[name] : info.default;
+            values[name] = info.type === 'boolean' ? (value ? 1 : 0) : value;
+        }
+        
+        // What the daemons were actually started with, which differs from the global flags while
+        // a switch is starting. The active one is the primary once it is ready, else the running
+        // daemon used most recently.
+        const running = [...this.pool.values()].filter(daemon => daemon.process);
+        const primary = this.daemon;
+        const active = primary.process && primary.ready
+            ? primary
+            : [...running].sort((a, b) => b.lastUsedAt - a.lastUsedAt)[0] || null;
+        
+        return {
+            flags: this.daemonFlags.join(' '),
+            preset: this.currentPreset || '',
+            set: Object.keys(this.daemonParams),
+            values,
+            active_daemon: active ? active.id : 0,
+            active_flags: active ? active.flags.join(' ') : '',
+            applied: active === primary ? 1 : 0,
+            daemons: running.map(daemon => ({
+                id: daemon.id,
+                flags: daemon.flags.join(' '),
+                state: daemon.state,
+                active_job: daemon.activeJobId || 0
+            }))
+        };
+    }
+
+    validatePresetName(name) {
+        const presetName = name === undefined ? '' : String(name).trim();
+        if (!/^[\w.-]+$/.test(presetName)) {
+            throw new Error('Preset names may only use letters, digits, dots, dashes and underscores');
+        }
+        return presetName;
+    }
+
+    // Turn stored preset values back into validated parameters; the file may have been edited by hand
+    validatePresetParams(preset) {
+        const list = [];
+        for (const [key, value] of Object.entries(preset.params)) {
+            list.push(key, value);
+        }
+        return this.parseMaxListToParams(list);
+    }
+
+    // Store the current global parameters under a name and remember it as the last preset
+    savePreset(name) {
+        const store = loadPresetStore(this.presetsFile);
+        store.presets[name] = { ...this.daemonParams };
+        store.last = name;
+        savePresetStore(this.presetsFile, store);
+        this.currentPreset = name;
+
+        const shadows = Object.prototype.hasOwnProperty.call(BUILTIN_PRESETS, name) ? ' (overrides the built-in one)' : '';
+        this.post(`💾 Saved preset ${name}${shadows}: ${this.daemonFlags.join(' ') || 'default settings'}`);
+        this.outlet('preset_saved', name);
+    }
+
+    loadPreset(name) {
+        const store = loadPresetStore(this.presetsFile);
+        const preset = findPreset(store, name);
+        if (!preset) {
+            throw new Error(`No preset named ${name}`);
+        }
+
+        const params = this.validatePresetParams(preset);
+        const flags = this.paramsToFlags(params);
+        store.last = name;
+        savePresetStore(this.presetsFile, store);
+
+        this.post(`🎛️ Loading ${preset.builtin ? 'built-in ' : ''}preset ${name}: ${flags.join(' ') || 'default settings'}`);
+        this.restartDaemonWithFlags(flags, params, name);
+        this.outlet('preset_loaded', name);
+    }
+
+    // Only user presets can be deleted; deleting one that shadows a built-in brings the built-in back
+    deletePreset(name) {
+        const store = loadPresetStore(this.presetsFile);
+        if (!Object.prototype.hasOwnProperty.call(store.presets, name)) {
+            throw new Error(Object.prototype.hasOwnProperty.call(BUILTIN_PRESETS, name)
+                ? `${name} is a built-in preset and can't be deleted`
+                : `No preset named ${name}`);
+        }
+
+        delete store.presets[name];
+        if (store.last === name) {
+            store.last = null;
+        }
+        savePresetStore(this.presetsFile, store);
+        if (this.currentPreset === name) {
+            this.currentPreset = null;
+        }
+
+        this.post(`🗑️ Deleted preset ${name}`);
+        this.outlet('preset_deleted', name);
+    }
+
+    getPresetReport() {
+        const store = loadPresetStore(this.presetsFile);
+        const presets = {};
+        for (const name of new Set([...Object.keys(BUILTIN_PRESETS), ...Object.keys(store.presets)])) {
+            const preset = findPreset(store, name);
+            presets[name] = { builtin: preset.builtin, params: preset.params };
+        }
+        return {
+            current: this.currentPreset || '',
+            last: store.last || '',
+            presets
+        };
+    }
+
+    // Apply the last loaded or saved preset before the first daemon starts. A broken preset file
+    // is reported and otherwise ignored so the daemon still comes up with default settings.
+    loadStartupPreset() {
+        try {
+            const store = loadPresetStore(this.presetsFile);
+            if (!store.last) {
+                return;
+            }
+
+            const preset = findPreset(store, store.last);
+            if (!preset) {
+                this.post(`⚠️ Last preset ${store.last} no longer exists, using default settings`, 'warn');
+                return;
+            }
+
+            this.daemonParams = this.validatePresetParams(preset);
+            this.daemonFlags = this.paramsToFlags(this.daemonParams);
+            this.currentPreset = preset.name;
+            this.post(`🎛️ Loaded preset ${preset.name}: ${this.daemonFlags.join(' ') || 'default settings'}`);
+        } catch (error) {
+            this.reportError('INVALID_FLAG', `Could not load startup preset: ${error.message}`);
+        }
+    }
+
+    // Validate parameter values according to CLI specification
+    validateParameter(key, value) {
+        const validation = PARAMETER_SCHEMA[key];
+        if (!validation) {
+            throw new Error(`Unknown parameter: ${key}`);
+        }
+
+        return this.validateValue(key, value, validation);
+    }
+
+    // Validate rhythmic post-processing options (see lib/rhythm.js)
+    validateRhythmOption(key, value) {
+        const validations = {
+            'quantize-grid': {
+                min: 0.0,
+                max: 4.0,
+                type: 'number',
+                description: 'Quantize grid in beats (0.25 = 16ths, 0 = off)'
+            },
+            'quantize-strength': {
+                min: 0.0,
+                max: 1.0,
+                type: 'number',
+                description: 'How far notes move toward the grid'
+            },
+            'swing': {
+                min: 0.0,
+                max: 1.0,
+                type: 'number',
+                description: 'Delay of every second grid line (1 = triplet feel)'
+            },
+            'merge-overlaps': {
+                type: 'boolean',
+                description: 'Merge overlapping notes of the same pitch'
+            },
+            'velocity-floor': {
+                min: 0,
+                max: 127,
+                type: 'number',
+                description: 'Drop notes quieter than this velocity'
+            },
+            'min-ghost-length': {
+                min: 0,
+                max: 1000,
+                type: 'number',
+                description: 'Drop notes shorter than this many ms'
+            },
+            'velocity-curve': {
+                min: 0.1,
+                max: 4.0,
+                type: 'number',
+                description: 'Velocity curve exponent (<1 louder, >1 softer)'
+            }
+        };
+
+        const validation = validations[key];
+        if (!validation) {
+            throw new Error(`Unknown post-processing option: ${key}`);
+        }
+
+        return this.validateValue(key, value, validation);
+    }
+
+    // Validate pitch post-processing options (see lib/pitch.js)
+    validatePitchOption(key, value) {
+        const validations = {
+            'key': {
+                type: 'enum',
+                values: ['auto', ...NOTE_NAMES, ...Object.keys(FLAT_NAMES)],
+                description: 'Key to snap to, or auto to detect it'
+            },
+            'scale': {
+                type: 'enum',
+                values: ['auto', ...Object.keys(SCALES)],
+                description: 'Scale to snap to, or auto for detected major/minor'
+            },
+            'snap-to-scale': {
+                type: 'boolean',
+                description: 'Move out-of-scale notes to the nearest scale tone'
+            },
+            'fix-octaves': {
+                type: 'boolean',
+                description: 'Fix isolated octave jumps'
+            },
+            'voice': {
+                type: 'enum',
+                values: ['off', 'highest', 'lowest', 'salient'],
+                description: 'Reduce to a single voice'
+            }
+        };
+
+        const validation = validations[key];
+        if (!validation) {
+            throw new Error(`Unknown pitch option: ${key}`);
+        }
+
+        return this.validateValue(key, value, validation);
+    }
+
+    // Validate preprocessing options (trim, channel, filter and loudness shaping before transcription)
+    validatePreprocessOption(key, value) {
+        const validations = {
+            'start': {
+                min: 0.0,
+                max: 86400.0,
+                type: 'number',
+                description: 'Start of the region to transcribe, in seconds'
+            },
+            'end': {
+                min: 0.0,
+                max: 86400.0,
+                type: 'number',
+                description: 'End of the region to transcribe, in seconds'
+            },
+            'channel': {
+                type: 'enum',
+                values: ['mix', 'left', 'right', 'mid', 'side', '1', '2', '3', '4', '5', '6', '7', '8'],
+                description: 'Channel to transcribe instead of a downmix'
+            },
+            'normalize': {
+                min: -40.0,
+                max: -6.0,
+                type: 'number',
+                description: 'Normalize to this RMS level in dBFS (peaks limited to -1 dBFS)'
+            },
+            'filter': {
+                type: 'enum',
+                values: ['off', 'highpass', 'lowpass', 'bandpass'],
+                description: 'Filter at min-frequency/max-frequency (or low/high)'
+            },
+            'low': {
+                min: 20.0,
+                max: 8000.0,
+                type: 'number',
+                description: 'High-pass cutoff in Hz, overriding min-frequency'
+            },
+            'high': {
+                min: 20.0,
+                max: 8000.0,
+                type: 'number',
+                description: 'Low-pass cutoff in Hz, overriding max-frequency'
+            }
+        };
+
+        const validation = validations[key];
+        if (!validation) {
+            throw new Error(`Unknown preprocess option: ${key}`);
+        }
+
+        return this.validateValue(key, value, validation);
+    }
+
+    // Check a value against a number range, boolean or enum validation entry
+    validateValue(key, value, validation) {
+        if (validation.type === 'number') {
+            const numValue = parseFloat(value);
+            if (isNaN(numValue)) {
+                throw new Error(`${key}: Value must be a number`);
+            }
+            if (numValue < validation.min || numValue > validation.max) {
+                throw new Error(`${key}: Value ${numValue} out of range [${validation.min}, ${validation.max}]`);
+            }
+            return numValue;
+        } else if (validation.type === 'boolean') {
+            if (value === true || value === 'true' || value === '1' || value === 1) {
+                return true;
+            } else if (value === false || value === 'false' || value === '0' || value === 0) {
+                return false;
+            } else {
+                throw new Error(`${key}: Value must be true/false`);
+            }
+        } else if (validation.type === 'enum') {
+            const enumValue = String(value).toLowerCase();
+            if (!validation.values.includes(enumValue)) {
+                throw new Error(`${key}: Value must be one of ${validation.values.join(', ')}`);
+            }
+            return enumValue;
+        }
+
+        return value;
+    }
+
+    // Parse Max list into CLI flags
+    parseMaxListToFlags(maxList) {
+        return this.paramsToFlags(this.parseMaxListToParams(maxList));
+    }
+    
+    // Parse and validate a Max list of daemon parameters into a key -> value object
+    parseMaxListToParams(maxList) {
+        const params = {};
+        
+        try {
+            // Max sends arguments as separate items in the list
+            // Expected format: key1 value1 key2 value2 ...
+            for (let i = 0; i < maxList.length; i += 2) {
+                if (i + 1 >= maxList.length) {
+                    throw new Error(`Missing value for parameter: ${maxList[i]}`);
+                }
+                
+                const key = maxList[i].toString().replace(/^-+/, ''); // Remove leading dashes if present
+                params[key] = this.validateParameter(key, maxList[i + 1]);
+            }
+            
+            return params;
+            
+        } catch (error) {
+            throw new BasicPitchError('INVALID_FLAG', `Parameter validation failed: ${error.message}`);
+        }
+    }
+    
+    // Turn validated daemon parameters into CLI flags. Keys go in sorted order, so the same
+    // settings always give the same flags (and the same daemon) however they were written.
+    paramsToFlags(params) {
+        const flags = [];
+        
+        for (const key of Object.keys(params).sort()) {
+            const validatedValue = params[key];
+            // Handle special boolean flags that use --no- prefix
+            if (key === 'include-pitch-bends') {
+                // If false (0), add --no-pitch-bends flag
+                if (!validatedValue) {
+                    flags.push('--no-pitch-bends');
+                }
+                // If true (1), don't add any flag (pitch bends enabled by default)
+            } else if (key === 'use-melodia-trick') {
+                // If false (0), add --no-melodia-trick flag
+                if (!validatedValue) {
+                    flags.push('--no-melodia-trick');
+                }
+                // If true (1), don't add any flag (melodia trick enabled by default)
+            } else {
+                // Handle regular parameters
+                if (typeof validatedValue === 'boolean') {
+                    if (validatedValue) {
+                        flags.push(`--${key}`);
+                    }
+                    // For boolean false, we don't add the flag
+                } else {
+                    flags.push(`--${key}`);
+                    flags.push(validatedValue.toString());
+                }
+            }
+        }
+        
+        return flags;
+    }
+    
+    // Parse a Max list of key/value pairs into post-processing options, checked by validate(key, value)
+    parseOptionList(maxList, validate) {
+        const options = {};
+        
+        try {
+            for (let i = 0; i < maxList.length; i += 2) {
+                if (i + 1 >= maxList.length) {
+                    throw new Error(`Missing value for option: ${maxList[i]}`);
+                }
+                
+                const key = maxList[i].toString().replace(/^-+/, '');
+                options[key] = validate(key, maxList[i + 1]);
+            }
+            
+            return options;
+            
+        } catch (error) {
+            throw new Error(`Option validation failed: ${error.message}`);
+        }
+    }
+    
+    // Shift every note and bend in a MIDI file later by the given number of seconds, in place
+    offsetMidiFile(job, midiPath, seconds) {
+        try {
+            const { notes, tempoMap, ticksPerBeat } = readMidiNotes(midiPath);
+            for (const note of notes) {
+                note.start += seconds;
+                note.end += seconds;
+                for (const bend of note.bends) {
+                    bend.time += seconds;
+                }
+            }
+            fs.writeFileSync(midiPath, writeMidi(notes, { bpm: tempoMap.bpm, ticksPerBeat }));
+            this.post(`⏩ Shifted ${notes.length} notes by ${seconds}s to match ${job.fileName}`, 'debug');
+        } catch (error) {
+            this.reportError('OUTPUT_FAILED', `Could not shift ${path.basename(midiPath)} by ${seconds}s: ${error.message}`, { job });
+        }
+    }
+    
+    hasPostProcessing() {
+        return Object.keys(this.pitchOptions).length > 0 || Object.keys(this.rhythmOptions).length > 0;
+    }
+    
+    // Write a cleaned-up copy of a finished transcription next to it: pitch stage, then rhythm
+    postProcessMidi(job, midiPath) {
+        try {
+            const { notes, tempoMap, ticksPerBeat } = readMidiNotes(midiPath);
+            const flagTempo = this.getFlagValue('tempo-bpm', this.getJobFlags(job));
+            const bpm = flagTempo !== null ? parseFloat(flagTempo) : tempoMap.bpm;
+            
+            let processed = notes;
+            if (Object.keys(this.pitchOptions).length > 0) {
+                const result = processPitch(processed, this.pitchOptions);
+                processed = result.notes;
+                
+                if (result.key) {
+                    this.outlet('key', job.fileName, result.key.tonic, result.key.scale, result.key.detected ? 1 : 0);
+                }
+            }
+            if (Object.keys(this.rhythmOptions).length > 0) {
+                processed = processRhythm(processed, this.rhythmOptions, bpm);
+            }
+            const processedPath = path.join(path.dirname(midiPath), `${path.basename(midiPath, '.mid')}.processed.mid`);
+            fs.writeFileSync(processedPath, writeMidi(processed, { bpm, ticksPerBeat }));
+            
+            this.post(`🎚️ Post-processed: ${path.basename(processedPath)} (${notes.length} -> ${processed.length} notes)`);
+            this.outlet('postprocessed', job.fileName, processedPath, processed.length);
+            return processedPath;
+        } catch (error) {
+            this.reportError('OUTPUT_FAILED', `Post-processing failed for ${path.basename(midiPath)}: ${error.message}`, { job });
+            return null;
+        }
+    }
+    
+    // Find ffmpeg binary in common locations
+    findFFmpegPath() {
+        const override = this.ffmpegPathOverride || process.env[FFMPEG_PATH_ENV];
+        if (override) {
+            const error = checkExecutable(override);
+            if (error) {
+                this.post(`❌ ffmpeg ${error}`, 'error');
+                return null;
+            }
+            return override;
+        }
+        
+        const ffmpegPath = findFFmpeg();
+        if (ffmpegPath) {
+            this.post(`Found ffmpeg at: ${ffmpegPath}`, 'debug');
+            return ffmpegPath;
+        }
+        
+        this.post(`❌ ffmpeg not found in common locations or PATH (set ${FFMPEG_PATH_ENV} or send ffmpegpath)`, 'error');
+        return null;
+    }
+
+    // Turn validated preprocess options into conversion settings for lib/wav.js. Filter cutoffs
+    // follow the min-frequency/max-frequency flags unless low/high are given.
+    resolvePreprocessSettings(options = {}, flags = this.daemonFlags) {
+        const filter = options['filter'] || 'off';
+        const settings = {
+            channel: options['channel'],
+            start: options['start'],
+            end: options['end'],
+            normalize: options['normalize']
+        };
+        
+        if (filter === 'highpass' || filter === 'bandpass') {
+            const flagValue = this.getFlagValue('min-frequency', flags);
+            settings.highpass = options['low'] || (flagValue !== null ? parseFloat(flagValue) : MODEL_MIN_FREQUENCY);
+        }
+        if (filter === 'lowpass' || filter === 'bandpass') {
+            const flagValue = this.getFlagValue('max-frequency', flags);
+            settings.lowpass = options['high'] || (flagValue !== null ? parseFloat(flagValue) : MODEL_MAX_FREQUENCY);
+        }
+        if (settings.highpass && settings.lowpass && settings.highpass >= settings.lowpass) {
+            throw new Error(`Band-pass cutoffs are reversed: ${settings.highpass} Hz to ${settings.lowpass} Hz`);
+        }
+        
+        return settings;
+    }
+    
+    // Describe conversion settings for the Max console, e.g. "12-20s, left, bandpass 80-2000 Hz"
+    describePreprocessSettings(settings) {
+        const parts = [];
+        if (settings.start || settings.end) {
+            parts.push(`${settings.start || 0}-${settings.end || 'end'}s`);
+        }
+        if (settings.channel && settings.channel !== 'mix') {
+            parts.push(/^\d+$/.test(settings.channel) ? `channel ${settings.channel}` : settings.channel);
+        }
+        if (settings.highpass && settings.lowpass) {
+            parts.push(`bandpass ${settings.highpass}-${settings.lowpass} Hz`);
+        } else if (settings.highpass) {
+            parts.push(`highpass ${settings.highpass} Hz`);
+        } else if (settings.lowpass) {
+            parts.push(`lowpass ${settings.lowpass} Hz`);
+        }
+        if (settings.normalize !== undefined) {
+            parts.push(`normalize ${settings.normalize} dBFS`);
+        }
+        return parts.join(', ');
+    }
+    
+    // Convert an audio file to mono 16-bit 22050 Hz WAV: on a worker thread for WAV/AIFF, else with ffmpeg.
+    // Options are the validated preprocess options (trim, channel, filter, normalize); flags are the
+    // daemon flags the filter cutoffs follow. The converted file goes in outputDir.
+    async preprocessAudioFile(inputPath, options = {}, flags = this.daemonFlags, outputDir = path.dirname(inputPath)) {
+        const inputBaseName = path.basename(inputPath, path.extname(inputPath));
+        const preprocessedPath = path.join(outputDir, `${inputBaseName}.proc.wav`);
+        const settings = this.resolvePreprocessSettings(options, flags);
+        const description = this.describePreprocessSettings(settings);
+        if (description) {
+            this.post(`🎛️ Preprocessing ${path.basename(inputPath)}: ${description}`);
+        }
+        
+        if (JS_DECODABLE_FORMATS.includes(path.extname(inputPath).toLowerCase())) {
+            try {
+                const info = inspectAudioFile(inputPath);
+                if (info && info.supported) {
+                    this.post(`🔧 Converting audio: ${path.basename(inputPath)} (${info.channels}ch ${info.bitsPerSample}-bit ${info.encoding} ${info.sampleRate} Hz) -> ${path.basename(preprocessedPath)}`, 'debug');
+                    await convertInWorker(inputPath, preprocessedPath, info, settings);
+                    this.post(`✅ Conversion complete: ${path.basename(preprocessedPath)}`, 'debug');
+                    return preprocessedPath;
+                }
+            } catch (error) {
+                this.post(`⚠️ JavaScript conversion failed (${error.message}), trying ffmpeg`, 'warn');
+            }
+        }
+        
+        if (!description) {
+            return this.preprocessWithFFmpeg(inputPath, preprocessedPath);
+        }
+        
+        // ffmpeg trims and decodes, keeping every channel; channel selection, filtering and
+        // normalization then run in JavaScript so both paths shape the audio the same way
+        const decodedPath = path.join(outputDir, `${inputBaseName}.dec.wav`);
+        try {
+            await this.preprocessWithFFmpeg(inputPath, decodedPath, settings);
+            await convertInWorker(decodedPath, preprocessedPath, inspectAudioFile(decodedPath), { ...settings, start: 0, end: 0 });
+        } finally {
+            if (fs.existsSync(decodedPath)) {
+                fs.unlinkSync(decodedPath);
+            }
+        }
+        return preprocessedPath;
+    }
+    
+    // Preprocess audio file with ffmpeg to ensure compatibility. With settings, only the time range
+    // is applied and all channels are kept for the JavaScript stage.
+    preprocessWithFFmpeg(inputPath, preprocessedPath, settings = null) {
+        return new Promise((resolve, reject) => {
+            const ffmpegPath = this.findFFmpegPath();
+            
+            if (!ffmpegPath) {
+                reject(new BasicPitchError('FFMPEG_MISSING', 'ffmpeg not found. Please install with: brew install ffmpeg, or set ffmpegpath'));
+                return;
+            }
+            
+            // ffmpeg command to convert to a clean WAV format
+            const ffmpegArgs = [
+                '-i', inputPath,           // Input file
+                '-ar', '22050',            // Sample rate (BasicPitch expects 22050)
+                '-ac', '1',                // Convert to mono
+                '-sample_fmt', 's16',      // 16-bit PCM
+                '-y',                      // Overwrite output file
+                preprocessedPath           // Output file
+            ];
+            
+            if (settings) {
+                ffmpegArgs.splice(ffmpegArgs.indexOf('-ac'), 2); // Channels are picked afterwards
+                if (settings.end) {
+                    ffmpegArgs.splice(2, 0, '-to', String(settings.end));
+                }
+                if (settings.start) {
+                    ffmpegArgs.splice(2, 0, '-ss', String(settings.start));
+                }
+            }
+            
+            this.post(`🔧 Preprocessing audio: ${path.basename(inputPath)} -> ${path.basename(preprocessedPath)}`, 'debug');
+            this.post(`Using ffmpeg: ${ffmpegPath}`, 'debug');
+            
+            const ffmpegProcess = spawn(ffmpegPath, ffmpegArgs);
+            
+            let errorOutput = '';
+            
+            ffmpegProcess.stderr.on('data', (data) => {
+                errorOutput += data.toString();
+            });
+            
+            ffmpegProcess.on('close', (code) => {
+                if (code === 0) {
+                    this.post(`✅ Preprocessing complete: ${path.basename(preprocessedPath)}`, 'debug');
+                    resolve(preprocessedPath);
+                } else {
+                    // The message gets ffmpeg's last line, usually the actual complaint; the rest
+                    // goes in the error's details
+                    const lines = errorOutput.trim().split(/\r?\n/);
+                    this.post(`ffmpeg output: ${errorOutput.trim()}`, 'debug');
+                    reject(new BasicPitchError('PREPROCESS_FAILED', `ffmpeg exited with code ${code}: ${lines[lines.length - 1]}`, {
+                        exit_code: code,
+                        stderr: errorOutput.trim()
+                    }));
+                }
+            });
+            
+            ffmpegProcess.on('error', (error) => {
+                reject(new BasicPitchError(error.code === 'ENOENT' ? 'FFMPEG_MISSING' : 'PREPROCESS_FAILED', `ffmpeg error: ${error.message}`));
+            });
+        });
+    }
+    
+    // Quote a command argument for the daemon, escaping backslashes and embedded quotes
+    quoteArg(value) {
+        return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+    }
+
+    // Read the duration of a WAV/AIFF file from its header, or estimate it from the file size
+    getAudioDurationSeconds(filePath) {
+        try {
+            const info = inspectAudioFile(filePath);
+            if (info) {
+                return info.duration;
+            }
+            
+            // Unknown layout: assume 16-bit mono 22050 Hz, which overestimates anything denser
+            return fs.statSync(filePath).size / (22050 * 2);
+        } catch (error) {
+            return 0;
+        }
+    }
+    
+    // Duration from the WAV/AIFF header, or as reported by ffmpeg for other formats; null if
+    // neither knows. Unlike getAudioDurationSeconds this never guesses.
+    getExactDurationSeconds(filePath) {
+        try {
+            const info = inspectAudioFile(filePath);
+            if (info) {
+                return Promise.resolve(info.duration);
+            }
+        } catch (error) {
+            // Fall through to ffmpeg
+        }
+        
+        const ffmpegPath = this.findFFmpegPath();
+        if (!ffmpegPath) {
+            return Promise.resolve(null);
+        }
+        
+        // ffmpeg with no output file prints the input's details, including "Duration: 00:12:34.56"
+        return new Promise(resolve => {
+            const probe = spawn(ffmpegPath, ['-hide_banner', '-i', filePath]);
+            let output = '';
+            probe.stderr.on('data', (data) => {
+                output += data.toString();
+            });
+            probe.on('close', () => {
+                const match = output.match(/Duration: (\d+):(\d+):([\d.]+)/);
+                resolve(match ? parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]) : null);
+            });
+            probe.on('error', () => resolve(null));
+        });
+    }
+    
+    // Whether a file has to be converted before the daemon can read it. Uncompressed files are
+    // converted in JavaScript; ones we can't parse are passed through as before.
+    needsConversion(filePath) {
+        if (!JS_DECODABLE_FORMATS.includes(path.extname(filePath).toLowerCase())) {
+            return false;
+        }
+        
+        try {
+            const info = inspectAudioFile(filePath);
+            return info !== null && info.supported && !isDaemonReady(info);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // Timeout for a job's daemon command, scaled by the length of the audio it sends
+    getJobTimeout(audioPath) {
+        const durationSec = this.getAudioDurationSeconds(audioPath);
+        return this.jobTimeoutBaseMs + Math.ceil(durationSec * this.jobTimeoutPerSecondMs);
+    }
+    
+    // Compact, dict-friendly view of a job
+    describeJob(job) {
+        const now = Date.now();
+        return {
+            id: job.id,
+            file: job.filePath,
+            name: job.fileName,
+            state: job.state,
+            position: this.jobs.position(job),
+            queued_ms: now - job.queuedAt,
+            running_ms: job.startTime ? (job.finishedAt || now) - job.startTime : 0,
+            timeout_ms: job.timeoutMs || 0,
+            midi: job.midiPath || '',
+            parent: job.parentId || 0, // Chunked job this chunk belongs to
+            flags: this.getJobFlags(job).join(' '),
+            cached: job.cacheHit ? 1 : 0,
+            error_code: job.errorCode || '',
+            progress: job.state === 'done' ? 1 : (job.state === 'running' ? this.getJobProgress(job).fraction : 0),
+            error: job.error || ''
+        };
+    }
+    
+    // Full queue report: each daemon's active job and queued jobs in dispatch order, then recent history
+    getQueueReport() {
+        const queue = [];
+        
+        for (const daemon of this.pool.values()) {
+            const active = this.jobs.get(daemon.activeJobId);
+            if (active && !this.jobs.isFinished(active)) {
+                queue.push(this.describeJob(active));
+            }
+        }
+        for (const job of this.jobs.waiting()) {
+            queue.push(this.describeJob(job));
+        }
+        
+        const history = this.jobs.history().map(job => this.describeJob(job));
+        
+        return { count: queue.length, queue, history };
+    }
+    
+    // Cancel every unfinished job matching an id, a full path or a file name
+    cancelJobs(target) {
+        const matches = this.jobs.matching(target);
+        for (const job of matches) {
+            this.cancelJob(job);
+        }
+        return matches.length;
+    }
+    
+    cancelJob(job) {
+        if (!job || this.jobs.isFinished(job)) {
+            return;
+        }
+        
+        this.jobs.remove(job);
+        
+        // A running job's id stays in inFlight; its reply is ignored once it arrives
+        this.post(`🚫 Cancelled job ${job.id}: ${job.fileName} (was ${job.state})`);
+        this.outlet('processing_cancelled', job.fileName, job.id);
+        this.finishJob(job, 'cancelled');
+    }
+    
+    // Move a job to a final state, release the daemon slot and start the next queued job
+    finishJob(job, state, error = null) {
+        this.jobs.finish(job, state, error);
+        
+        // A job cancelled mid-preprocessing cleans up its own temp file once ffmpeg returns
+        if (job.cleanupFile && fs.existsSync(job.cleanupFile)) {
+            fs.unlinkSync(job.cleanupFile);
+            this.post(`🗑️ Cleaned up temporary file: ${path.basename(job.cleanupFile)}`, 'debug');
+        }
+        if (job.cleanupSource && fs.existsSync(job.filePath)) {
+            fs.unlinkSync(job.filePath);
+            this.post(`🗑️ Cleaned up temporary file: ${job.fileName}`, 'debug');
+        }
+        
+        if (job.parentId) {
+            this.onChunkFinished(job);
+        }
+        // A chunked job that ends early takes its remaining chunks with it
+        for (const chunk of job.chunks || []) {
+            this.cancelJob(this.jobs.get(chunk.jobId));
+        }
+        
+        for (const daemon of this.pool.values()) {
+            if (daemon.activeJobId === job.id) {
+                daemon.activeJobId = null;
+                daemon.lastUsedAt = Date.now();
+                setImmediate(() => this.pumpQueue());
+            }
+        }
+    }
+
+    // Queue every audio file in a folder and report progress, a summary dict and a JSON report
+    async processFolder(dir, recursive = false, extensions = []) {
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+            this.reportError('FILE_NOT_FOUND', `Folder not found: ${dir}`, { file: dir });
+            return null;
+        }
+        
+        const files = findAudioFiles(dir, recursive, extensions.length > 0 ? extensions : BATCH_DEFAULT_EXTENSIONS);
+        const startTime = Date.now();
+        const results = [];
+        let done = 0;
+        
+        this.post(`📂 Batch: ${files.length} audio file${files.length === 1 ? '' : 's'} in ${dir}${recursive ? ' (recursive)' : ''}`);
+        this.outlet('batch_progress', 0, files.length);
+        
+        const recordResult = (result) => {
+            results.push(result);
+            done++;
+            this.outlet('batch_progress', done, files.length);
+        };
+        
+        const pending = [];
+        for (const filePath of files) {
+            const job = await this.processAudioFile(filePath);
+            
+            if (!job) {
+                recordResult({ file: filePath, state: 'failed', midi: '', error: 'could not be queued', processing_ms: 0, total_ms: 0 });
+                continue;
+            }
+            
+            pending.push(job.done.then(finished => recordResult({
+                file: filePath,
+                state: finished.state,
+                midi: finished.midiPath || '',
+                error: finished.error || '',
+                processing_ms: finished.startTime ? finished.finishedAt - finished.startTime : 0,
+                total_ms: finished.finishedAt - finished.queuedAt
+            })));
+        }
+        
+        await Promise.all(pending);
+        
+        // Report files in folder order, not completion order
+        results.sort((a, b) => files.indexOf(a.file) - files.indexOf(b.file));
+        
+        const summary = {
+            dir: dir,
+            total: files.length,
+            succeeded: results.filter(result => result.state === 'done').length,
+            failed: results.filter(result => result.state === 'failed').length,
+            cancelled: results.filter(result => result.state === 'cancelled').length,
+            elapsed_ms: Date.now() - startTime,
+            report: path.join(dir, `basic-pitch-batch-${new Date(startTime).toISOString().replace(/[:.]/g, '-')}.json`)
+        };
+        
+        try {
+            fs.writeFileSync(summary.report, JSON.stringify({ ...summary, files: results }, null, 2));
+        } catch (error) {
+            this.post(`❌ Could not write batch report: ${error.message}`, 'error');
+            summary.report = '';
+        }
+        
+        this.post(`📂 Batch complete: ${summary.succeeded}/${summary.total} succeeded, ${summary.failed} failed (${summary.elapsed_ms}ms)`);
+        this.outlet('batch_complete', summary);
+        return summary;
+    }
+
+    validateExportFormats(formats) {
+        const validated = [];
+        for (const format of formats) {
+            const name = String(format).toLowerCase();
+            if (!EXPORT_FORMATS.includes(name)) {
+                throw new Error(`Unknown export format: ${format} (available: ${EXPORT_FORMATS.join(', ')})`);
+            }
+            if (!validated.includes(name)) {
+                validated.push(name);
+            }
+        }
+        return validated;
+    }
+    
+    // Parse per-request key/value options that follow a file path
+    parseRequestOptions(maxList) {
+        const options = {};
+        
+        for (let i = 0; i < maxList.length; i += 2) {
+            if (i + 1 >= maxList.length) {
+                throw new Error(`Missing value for option: ${maxList[i]}`);
+            }
+            
+            const key = maxList[i].toString().replace(/^-+/, '');
+            const value = maxList[i + 1];
+            if (key === 'export') {
+                options.exportFormats = [...(options.exportFormats || []), ...this.validateExportFormats([value])];
+            } else if (DAEMON_PARAMETERS.includes(key)) {
+                // Per-request daemon parameters, run on a daemon with those flags
+                options.flagOverrides = { ...options.flagOverrides, ...this.parseMaxListToParams([key, value]) };
+            } else if (key === 'chunk') {
+                // chunk <seconds> forces long-file mode with that chunk length; chunk 0 never splits
+                const length = parseFloat(value);
+                if (isNaN(length) || (length !== 0 && (length < 10 || length > 3600))) {
+                    throw new Error(`chunk: Value must be 0 or between 10 and 3600 seconds`);
+                }
+                options.chunkLength = length;
+            } else if (key === 'region') {
+                // region <start>-<end>, in seconds
+                const match = String(value).match(/^([\d.]+)-([\d.]+)$/);
+                if (!match) {
+                    throw new Error(`region: Expected <start>-<end> in seconds, got ${value}`);
+                }
+                options.preprocessOptions = {
+                    ...options.preprocessOptions,
+                    'start': this.validatePreprocessOption('start', match[1]),
+                    'end': this.validatePreprocessOption('end', match[2])
+                };
+            } else {
+                options.preprocessOptions = {
+                    ...options.preprocessOptions,
+                    [key]: this.validatePreprocessOption(key, value)
+                };
+            }
+        }
+        
+        const preprocess = options.preprocessOptions;
+        if (preprocess && preprocess['end'] !== undefined && preprocess['end'] <= (preprocess['start'] || 0)) {
+            throw new Error(`end (${preprocess['end']}s) must be after start (${preprocess['start'] || 0}s)`);
+        }
+        
+        return options;
+    }
+    
+    // Write the job's notes in each requested export format next to the MIDI file
+    exportNotes(job, midiPath) {
+        if (job.exportFormats.length === 0) {
+            return [];
+        }
+        
+        const exportPaths = [];
+        let noteDict;
+        try {
+            noteDict = this.buildNoteDict(midiPath, job.filePath, this.getJobFlags(job));
+        } catch (error) {
+            this.reportError('OUTPUT_FAILED', `Could not read notes for export: ${error.message}`, { job });
+            return [];
+        }
+        
+        const baseName = path.join(path.dirname(midiPath), path.basename(midiPath, '.mid'));
+        for (const format of job.exportFormats) {
+            const exportPath = `${baseName}${EXPORT_SUFFIXES[format]}`;
+            try {
+                fs.writeFileSync(exportPath, formatNotes(format, noteDict, path.basename(job.filePath)));
+                exportPaths.push(exportPath);
+                this.post(`📤 Exported ${format}: ${path.basename(exportPath)}`);
+            } catch (error) {
+                this.reportError('OUTPUT_FAILED', `Export to ${format} failed: ${error.message}`, { job, details: { format } });
+            }
+        }
+        
+        return exportPaths;
+    }
+
+    // Encode a finished sample session as a WAV in the temp folder and queue it, with the MIDI
+    // going to samplesDir. The WAV is deleted when the job finishes.
+    async transcribeSamples(name, options = []) {
+        let recording;
+        try {
+            recording = this.samples.finish(name);
+        } catch (error) {
+            this.reportError('INVALID_ARGUMENT', error.message);
+            return null;
+        }
+        
+        const requestOptions = this.parseRequestOptions(options);
+        
+        if (!this.outputDir && !fs.existsSync(this.samplesDir)) {
+            fs.mkdirSync(this.samplesDir, { recursive: true });
+        }
+        
+        const safeName = name.replace(/[^\w-]+/g, '_');
+        const wavPath = path.join(this.getTempDir(), `${safeName}-${Date.now()}.wav`);
+        fs.writeFileSync(wavPath, recording.wav);
+        
+        this.post(`🎙️ Wrote ${recording.frames} frames from ${name} to ${path.basename(wavPath)}`);
+        
+        const job = await this.processAudioFile(wavPath, null, false, { ...requestOptions, outputDir: this.samplesDir, cleanupSource: true });
+        if (!job && fs.existsSync(wavPath)) {
+            fs.unlinkSync(wavPath);
+        }
+        return job;
+    }
+
+    // Promise API: transcribe one file and resolve with its job report plus any processed copy,
+    // exports and analysis. Options are the per-request options of the path message as an object, e.g.
+    // { region: '10-20', export: ['csv', 'json'], 'onset-threshold': 0.6 }; preprocess: true
+    // always runs ffmpeg first. Rejects if the file can't be queued or the job doesn't finish.
+    async transcribe(filePath, options = {}) {
+        const { preprocess = false, ...rest } = options;
+        const optionList = [];
+        for (const [key, value] of Object.entries(rest)) {
+            for (const item of Array.isArray(value) ? value : [value]) {
+                optionList.push(key, item);
+            }
+        }
+        
+        const job = await this.queueRequest(filePath, null, preprocess, this.parseRequestOptions(optionList));
+        await job.done;
+        if (job.state !== 'done') {
+            throw job.state === 'cancelled'
+                ? new BasicPitchError('CANCELLED', 'Cancelled')
+                : new BasicPitchError(job.errorCode || 'INFERENCE_FAILED', job.error || 'Transcription failed');
+        }
+        
+        return {
+            ...this.describeJob(job),
+            processed_midi: job.processedMidiPath || '',
+            exports: job.exportPaths,
+            analysis: job.analysis
+        };
+    }
+    
+    // Queue a file, reporting anything that keeps it from being queued as an error message
+    async processAudioFile(filePath, requestId = null, usePreprocessing = false, options = {}) {
+        try {
+            return await this.queueRequest(filePath, requestId, usePreprocessing, options);
+        } catch (error) {
+            this.reportException(error, 'INTERNAL', { file: filePath, requestId });
+            return null;
+        }
+    }
+    
+    // Queue a file and return its job, or throw if it can't be queued. The job may already be
+    // finished when it comes from the cache or is skipped.
+    async queueRequest(filePath, requestId = null, usePreprocessing = false, options = {}) {
+        this.post(`📁 Processing audio file: ${filePath}`);
+        
+        // Check if file exists (use original path without escaping)
+        if (!fs.existsSync(filePath)) {
+            throw new BasicPitchError('FILE_NOT_FOUND', `File not found: ${filePath}`);
+        }
+        
+        if (this.overwritePolicy === 'skip') {
+            const existingPath = this.resolveMidiPath(filePath, options, false);
+            if (fs.existsSync(existingPath)) {
+                return this.skipExistingOutput(filePath, requestId, usePreprocessing, options, existingPath);
+            }
+        }
+        
+        // The length of audio to transcribe drives the progress estimate. Long recordings are split
+        // into overlapping chunks that run as jobs of their own; the split changes the stitched
+        // result, so it is worked out first and is part of the cache key.
+        const region = await this.getAudioRegion(filePath, options.preprocessOptions);
+        const chunkPlan = this.getChunkPlan(region, options);
+        
+        // Same audio with the same settings: answer from the cache without waiting for a daemon
+        let audioHash = null;
+        if (this.cache.enabled) {
+            try {
+                audioHash = await hashFile(filePath);
+                const cachedJob = this.completeFromCache(filePath, requestId, usePreprocessing, options, audioHash, chunkPlan);
+                if (cachedJob) {
+                    return cachedJob;
+                }
+            } catch (error) {
+                this.post(`⚠️ Cache lookup failed: ${error.message}`, 'warn');
+            }
+        }
+        
+        // Hold the request until its daemon is ready, starting it if nothing else will. When every
+        // daemon slot is busy the job just waits in the queue until pumpQueue can start one.
+        const daemon = this.pool.get(this.getRequestFlags(options));
+        daemon.pendingRequests++; // Keeps the daemon from being evicted before the job is queued
+        try {
+            if (!daemon.ready) {
+                if (!daemon.process && !daemon.restartTimer) {
+                    this.post(`🔄 Starting daemon for file processing...`);
+                    this.pool.ensureStarted(daemon);
+                }
+                
+                try {
+                    if (daemon.process || daemon.restartTimer) {
+                        await this.pool.waitForReady(daemon);
+                    } else if (daemon.state === 'failed') {
+                        throw new Error('Daemon could not start');
+                    }
+                } catch (error) {
+                    throw new BasicPitchError('DAEMON_NOT_READY', `${error.message}. Please try again.`, {
+                        daemon_state: daemon.state
+                    });
+                }
+            }
+            
+            const job = this.createJob(filePath, requestId, usePreprocessing, options);
+            job.audioHash = audioHash;
+            job.audioSeconds = region.seconds;
+            
+            if (chunkPlan) {
+                this.queueChunks(job, chunkPlan);
+                return job;
+            }
+            
+            const position = this.jobs.push(job);
+            
+            this.post(`📥 Queued job ${job.id}: ${job.fileName} (position ${position})`);
+            this.outlet('processing_queued', job.fileName, job.id, position);
+            
+            this.pumpQueue();
+            return job;
+        } finally {
+            daemon.pendingRequests--;
+        }
+    }
+    
+    // The part of a file a request transcribes: { start, end, seconds } in seconds, with seconds
+    // null when the file's length can't be read
+    async getAudioRegion(filePath, preprocessOptions = {}) {
+        const duration = await this.getExactDurationSeconds(filePath);
+        const start = preprocessOptions['start'] || 0;
+        const end = Math.min(preprocessOptions['end'] || Infinity, duration || 0);
+        return { start, end, seconds: duration ? Math.max(0, end - start) : null };
+    }
+    
+    // How a request's region is split into chunks, or null to transcribe it whole. A per-request
+    // chunk length also forces splitting anything longer than one chunk.
+    getChunkPlan(region, options) {
+        const chunkLength = options.chunkLength !== undefined ? options.chunkLength : this.chunkLength;
+        const threshold = options.chunkLength ? chunkLength : this.chunkThreshold;
+        if (!(chunkLength > 0 && threshold > 0) || !(region.seconds > threshold)) {
+            return null;
+        }
+        
+        return { start: region.start, end: region.end, length: chunkLength, overlap: Math.min(this.chunkOverlap, chunkLength / 4) };
+    }
+    
+    // Complete a request from a cached transcription, or return null if there is none
+    completeFromCache(filePath, requestId, usePreprocessing, options, audioHash, chunkPlan = null) {
+        const key = this.cache.makeKey(audioHash, this.getRequestFlags(options), options.preprocessOptions, chunkPlan);
+        const cachedPath = this.cache.lookup(key);
+        if (!cachedPath) {
+            return null;
+        }
+        
+        const job = this.createJob(filePath, requestId, usePreprocessing, options);
+        job.audioHash = audioHash;
+        job.cacheHit = true;
+        job.startTime = Date.now();
+        this.jobs.setState(job, 'running');
+        
+        fs.copyFileSync(cachedPath, job.expectedMidiPath);
+        job.midiPath = job.expectedMidiPath;
+        
+        this.post(`⚡ Cache hit for ${job.fileName}, skipping transcription`);
+        this.completeJob(job, job.expectedMidiPath, fs.statSync(job.expectedMidiPath).size, Date.now() - job.startTime);
+        return job;
+    }
+    
+    // Flags a request runs with: the global ones, with any per-request overrides applied
+    getRequestFlags(options) {
+        if (!options.flagOverrides) {
+            return this.daemonFlags;
+        }
+        return this.paramsToFlags({ ...this.daemonParams, ...options.flagOverrides });
+    }
+    
+    // Flags a job has run with or will run with
+    getJobFlags(job) {
+        return job.daemonFlags || job.flags || this.daemonFlags;
+    }
+    
+    // Finish a request without transcribing because its MIDI file is already there
+    skipExistingOutput(filePath, requestId, usePreprocessing, options, existingPath) {
+        const job = this.createJob(filePath, requestId, usePreprocessing, options);
+        job.expectedMidiPath = existingPath;
+        job.midiPath = existingPath;
+        
+        this.post(`⏭️ Skipping ${job.fileName}: ${path.basename(existingPath)} already exists`);
+        this.outlet('processing_skipped', job.fileName, existingPath);
+        this.finishJob(job, 'done');
+        return job;
+    }
+    
+    // Where a request's MIDI file goes: the filename template in outdir or the source's folder.
+    // With the version policy, taken names (on disk or by an unfinished job) get -2, -3, ...
+    resolveMidiPath(filePath, options = {}, versioned = this.overwritePolicy === 'version') {
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        const tokens = {
+            'basename': path.basename(filePath, path.extname(filePath)),
+            'timestamp': `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`,
+            'preset': this.currentPreset || '',
+            'flags': this.describeFlagOverrides({ ...this.daemonParams, ...options.flagOverrides }),
+            'overrides': this.describeFlagOverrides(options.flagOverrides)
+        };
+        
+        const name = this.filenameTemplate
+            .replace(/\{(\w+)\}/g, (match, token) => tokens[token] !== undefined ? tokens[token] : match)
+            .replace(/[\/\\:*?"<>|]+/g, '_')
+            .trim() || tokens['basename'];
+        // outdir wins, then a folder the request names (samplesDir for sample data), then the source's
+        const dir = this.outputDir || options.outputDir || path.dirname(filePath);
+        const midiPath = path.join(dir, `${name}.mid`);
+        if (!versioned) {
+            return midiPath;
+        }
+        
+        const taken = new Set([...this.jobs.values()]
+            .filter(job => !this.jobs.isFinished(job))
+            .map(job => path.resolve(job.expectedMidiPath)));
+        let candidate = midiPath;
+        for (let version = 2; fs.existsSync(candidate) || taken.has(path.resolve(candidate)); version++) {
+            candidate = path.join(dir, `${name}-${version}.mid`);
+        }
+        return candidate;
+    }
+    
+    // File name tag for daemon parameters: ".onset-threshold-0.6.frame-threshold-0.4", or ""
+    describeFlagOverrides(overrides) {
+        if (!overrides) {
+            return '';
+        }
+        return Object.entries(overrides)
+            .map(([key, value]) => `.${key}-${typeof value === 'boolean' ? (value ? 1 : 0) : value}`)
+            .join('');
+    }
+    
+    // Register a new job in the queued state, without putting it in the queue
+    createJob(filePath, requestId = null, usePreprocessing = false, options = {}) {
+        // Preprocess if requested or if file extension suggests it might be problematic
+        const ext = path.extname(filePath).toLowerCase();
+        
+        const fileName = path.basename(filePath);
+        
+        return this.jobs.create({
+            requestId: requestId,
+            filePath: filePath,
+            fileName: fileName,
+            outputDir: null, // The daemon's own folder, set at dispatch; the MIDI is moved from there
+            // Runs with overridden flags get their own file, e.g. song.onset-threshold-0.6.mid
+            expectedMidiPath: this.resolveMidiPath(filePath, options),
+            flagOverrides: options.flagOverrides || null,
+            flags: options.flagOverrides ? this.getRequestFlags(options) : null, // null = the global flags at dispatch
+            daemonFlags: null, // Flags of the daemon that ran the job
+            usePreprocessing: usePreprocessing || PROBLEMATIC_FORMATS.includes(ext) || !!options.preprocessOptions,
+            preprocessOptions: options.preprocessOptions || {},
+            timeOffset: (options.preprocessOptions && options.preprocessOptions['start']) || 0, // Seconds trimmed off the front
+            daemonFilePath: filePath,
+            daemonMidiPath: null, // Where the daemon writes the MIDI, for matching its reply
+            cleanupFile: null,
+            timeoutMs: null,
+            midiPath: null,
+            processedMidiPath: null,
+            exportFormats: options.exportFormats || [...this.exportFormats],
+            exportPaths: [],
+            analysis: null, // lib/analysis.js report of the finished transcription
+            cleanupSource: !!options.cleanupSource, // The source itself is a temp file we wrote
+            audioHash: null, // Content hash for the result cache, when caching is on
+            cacheHit: false,
+            chunking: null, // The chunk plan, for a job transcribed in chunks
+            audioSeconds: null, // Length of audio the daemon transcribes, for progress estimates
+            reportedProgress: null, // 0-1, once the daemon prints progress of its own
+            errorCode: null, // One of lib/errors.js ERROR_CODES once the job has failed
+            attempts: 0
+        });
+    }
+    
+    // Queue one job per chunk of the parent's region. The parent never reaches the daemon itself;
+    // it collects the chunks' notes in onChunkFinished and completes once the last one is stitched.
+    queueChunks(parent, chunkPlan) {
+        const audioBaseName = path.basename(parent.filePath, path.extname(parent.filePath));
+        
+        parent.chunking = chunkPlan;
+        parent.chunks = planChunks(chunkPlan.start, chunkPlan.end, chunkPlan.length, chunkPlan.overlap);
+        parent.stitched = [];
+        parent.stitchedCount = 0;
+        parent.startTime = Date.now();
+        this.jobs.setState(parent, 'running');
+        
+        for (const chunk of parent.chunks) {
+            const child = this.createJob(parent.filePath, parent.requestId, true, {
+                preprocessOptions: { ...parent.preprocessOptions, 'start': chunk.start, 'end': chunk.end },
+                flagOverrides: parent.flagOverrides,
+                exportFormats: []
+            });
+            child.parentId = parent.id;
+            child.chunkIndex = chunk.index;
+            child.audioSeconds = chunk.end - chunk.start;
+            child.expectedMidiPath = path.join(this.getTempDir(), `${audioBaseName}-${parent.id}-chunk${chunk.index + 1}.mid`);
+            chunk.jobId = child.id;
+            this.jobs.push(child);
+        }
+        
+        this.post(`✂️ Queued job ${parent.id}: ${parent.fileName} as ${parent.chunks.length} chunks of ${chunkPlan.length}s (${Math.round(chunkPlan.end - chunkPlan.start)}s)`);
+        this.outlet('processing_queued', parent.fileName, parent.id, this.jobs.length);
+        this.outlet('processing_chunked', parent.fileName, parent.id, parent.chunks.length);
+        
+        this.pumpQueue();
+    }
+    
+    // Stitch a finished chunk into its parent, in chunk order, and write what's stitched so far
+    // to the parent's MIDI file as partial output. A failed or cancelled chunk ends the parent.
+    onChunkFinished(child) {
+        const parent = this.jobs.get(child.parentId);
+        if (!parent || this.jobs.isFinished(parent)) {
+            return;
+        }
+        
+        const count = parent.chunks.length;
+        if (child.state !== 'done') {
+            // The chunk's own error, under the parent's request id, is the one reported
+            const reason = `Chunk ${child.chunkIndex + 1}/${count} ${child.state}${child.error ? `: ${child.error}` : ''}`;
+            this.post(`Job ${parent.id} stopped: ${reason}`, child.state === 'failed' ? 'warn' : 'info');
+            parent.errorCode = child.errorCode;
+            this.finishJob(parent, child.state, reason);
+            return;
+        }
+        
+        const chunk = parent.chunks[child.chunkIndex];
+        try {
+            const { notes, tempoMap, ticksPerBeat } = readMidiNotes(child.midiPath);
+            chunk.notes = notes;
+            parent.midiTiming = parent.midiTiming || { bpm: tempoMap.bpm, ticksPerBeat };
+            fs.unlinkSync(child.midiPath);
+        } catch (error) {
+            this.failJob(parent, 'OUTPUT_FAILED', `Could not read chunk ${child.chunkIndex + 1}/${count}: ${error.message}`);
+            return;
+        }
+        
+        // Chunks normally finish in order, but one moved with priority could arrive early
+        const before = parent.stitchedCount;
+        while (parent.stitchedCount < count && parent.chunks[parent.stitchedCount].notes) {
+            const next = parent.chunks[parent.stitchedCount];
+            stitchChunk(parent.stitched, next.notes, next, parent.chunks[parent.stitchedCount - 1] || null);
+            next.notes = null;
+            parent.stitchedCount++;
+        }
+        if (parent.stitchedCount === before) {
+            return;
+        }
+        
+        const midiData = writeMidi(parent.stitched, parent.midiTiming);
+        fs.writeFileSync(parent.expectedMidiPath, midiData);
+        parent.midiPath = parent.expectedMidiPath;
+        
+        if (parent.stitchedCount < count) {
+            const covered = parent.chunks[parent.stitchedCount - 1].end;
+            this.post(`🧩 ${parent.fileName}: ${parent.stitchedCount}/${count} chunks stitched (${parent.stitched.length} notes up to ${Math.round(covered)}s)`);
+            this.outlet('processing_partial', parent.fileName, parent.expectedMidiPath, parent.stitchedCount, count, covered);
+            this.outputNoteDict(parent, parent.expectedMidiPath);
+            return;
+        }
+        
+        this.completeJob(parent, parent.expectedMidiPath, midiData.length, Date.now() - parent.startTime);
+    }
+    
+    // Dispatch queued jobs in order to whichever of their daemons are free, starting daemons as needed
+    pumpQueue() {
+        for (const job of this.jobs.waiting()) {
+            const daemon = this.pool.get(this.getJobFlags(job));
+            
+            if (!daemon.process && !daemon.restartTimer && daemon.state !== 'failed') {
+                this.pool.ensureStarted(daemon);
+            }
+            if (daemon.activeJobId !== null || !daemon.ready || !daemon.process) {
+                continue;
+            }
+            
+            this.jobs.remove(job);
+            daemon.activeJobId = job.id;
+            daemon.lastUsedAt = Date.now();
+            job.daemonFlags = daemon.flags;
+            
+            this.runJob(daemon, job).catch(error => {
+                this.failJob(job, this.errorCodeOf(error, 'INTERNAL'), error.message, error.details);
+            });
+        }
+    }
+    
+    async runJob(daemon, job) {
+        // Each daemon writes into its own folder, so runs on the same file can't collide and
+        // nothing lands next to the source until the finished MIDI is moved into place
+        job.outputDir = path.join(this.getTempDir(), `daemon-${daemon.id}`);
+        if (!fs.existsSync(job.outputDir)) {
+            fs.mkdirSync(job.outputDir, { recursive: true });
+        }
+        
+        if (job.usePreprocessing || this.needsConversion(job.filePath)) {
+            this.jobs.setState(job, 'preprocessing');
+            
+            try {
+                job.daemonFilePath = await this.preprocessAudioFile(job.filePath, job.preprocessOptions, daemon.flags, job.outputDir);
+            } catch (error) {
+                this.failJob(job, this.errorCodeOf(error, 'PREPROCESS_FAILED'), `Preprocessing failed: ${error.message}`, error.details);
+                return;
+            }
+            
+            job.cleanupFile = job.daemonFilePath; // Mark for cleanup later
+            
+            // Cancelled while the audio was being converted
+            if (job.state !== 'preprocessing') {
+                if (fs.existsSync(job.cleanupFile)) {
+                    fs.unlinkSync(job.cleanupFile);
+                }
+                return;
+            }
+        }
+        
+        // The daemon went away while preprocessing; put the job back at the front
+        if (!daemon.process || !daemon.ready) {
+            this.jobs.setState(job, 'queued');
+            job.daemonFlags = null;
+            this.jobs.unshift(job);
+            daemon.activeJobId = null;
+            return;
+        }
+        
+        job.startTime = Date.now();
+        job.timeoutMs = this.getJobTimeout(job.daemonFilePath);
+        job.reportedProgress = null;
+        if (!job.audioSeconds) {
+            // Converted audio is always a WAV, so its length is known even when the source's wasn't
+            job.audioSeconds = this.getAudioDurationSeconds(job.daemonFilePath);
+        }
+        this.jobs.setState(job, 'running');
+        this.startProgressTimer();
+        
+        // Send the process command to the daemon with custom output directory: process <input> <dir>.
+        // Builds with the request-id capability also take the job id and echo it as "[id] ..."
+        // on their replies; for the rest, replies are matched by the MIDI file they name.
+        job.daemonMidiPath = path.join(job.outputDir, `${path.basename(job.daemonFilePath, path.extname(job.daemonFilePath))}.mid`);
+        const idArg = this.pool.supports('request-id') ? ` ${job.id}` : '';
+        const command = `process ${this.quoteArg(job.daemonFilePath)} ${this.quoteArg(job.outputDir)}${idArg}\n`;
+        
+        this.post(`🔍 Sending command to daemon ${daemon.id}: ${command.trim()}`, 'debug');
+        
+        daemon.inFlight.push(job.id);
+        this.pool.send(daemon, command, job.id);
+        
+        this.post(`🔄 Processing started for: ${job.fileName} -> ${job.expectedMidiPath} (timeout ${Math.round(job.timeoutMs/1000)}s)`, 'debug');
+        this.outlet('processing_started', job.fileName, job.filePath);
+    }
+    
+    // Current value of a daemon flag such as 'tempo-bpm', or null if it wasn't given
+    getFlagValue(key, flags = this.daemonFlags) {
+        const index = flags.indexOf(`--${key}`);
+        if (index === -1 || index + 1 >= flags.length) {
+            return null;
+        }
+        return flags[index + 1];
+    }
+    
+    // Parse the MIDI file the daemon wrote into a dict of note events
+    buildNoteDict(midiPath, sourcePath, flags = this.daemonFlags) {
+        const { notes, tempoMap } = readMidiNotes(midiPath);
+        
+        // Beats follow the tempo-bpm flag; without it, the tempo written in the file
+        const flagTempo = this.getFlagValue('tempo-bpm', flags);
+        const bpm = flagTempo !== null ? parseFloat(flagTempo) : tempoMap.bpm;
+        const msPerBeat = 60000 / bpm;
+        const includeBends = !flags.includes('--no-pitch-bends');
+        const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+        
+        const noteEvents = notes.map(note => {
+            const onsetMs = note.start * 1000;
+            const durationMs = (note.end - note.start) * 1000;
+            const event = {
+                pitch: note.pitch,
+                velocity: note.velocity,
+                onset_ms: round(onsetMs, 3),
+                duration_ms: round(durationMs, 3),
+                onset_beats: round(onsetMs / msPerBeat, 4),
+                duration_beats: round(durationMs / msPerBeat, 4)
+            };
+            
+            // Bend curve points are relative to the note onset
+            if (includeBends && note.bends.length > 0) {
+                event.bends = note.bends.map(bend => ({
+                    time_ms: round(bend.time * 1000 - onsetMs, 3),
+                    semitones: round(bend.semitones, 4)
+                }));
+            }
+            
+            return event;
+        });
+        
+        const lastEnd = notes.reduce((max, note) => Math.max(max, note.end), 0);
+        
+        return {
+            file: sourcePath,
+            midi: midiPath,
+            tempo_bpm: bpm,
+            count: noteEvents.length,
+            duration_ms: round(lastEnd * 1000, 3),
+            notes: noteEvents
+        };
+    }
+    
+    outputNoteDict(job, midiPath) {
+        try {
+            this.outlet('notes', this.buildNoteDict(midiPath, job.filePath, this.getJobFlags(job)));
+        } catch (error) {
+            this.reportError('OUTPUT_FAILED', `Could not read notes from ${path.basename(midiPath)}: ${error.message}`, { job });
+        }
+    }
+    
+    // Statistics for a MIDI file (see lib/analysis.js), with the tempo estimate compared against
+    // the tempo-bpm flag the file was transcribed with
+    analyzeMidi(midiPath, sourcePath, flags = this.daemonFlags) {
+        const { notes, tempoMap } = readMidiNotes(midiPath);
+        const flagTempo = this.getFlagValue('tempo-bpm', flags);
+        
+        return {
+            file: sourcePath,
+            midi: midiPath,
+            ...analyzeNotes(notes, {
+                flagBpm: flagTempo !== null ? parseFloat(flagTempo) : null,
+                fileBpm: tempoMap.bpm
+            })
+        };
+    }
+    
+    outputAnalysis(job, midiPath) {
+        try {
+            job.analysis = this.analyzeMidi(midiPath, job.filePath, this.getJobFlags(job));
+        } catch (error) {
+            this.reportError('OUTPUT_FAILED', `Could not analyze ${path.basename(midiPath)}: ${error.message}`, { job });
+            return;
+        }
+        
+        for (const warning of job.analysis.warnings) {
+            this.post(`⚠️ ${job.fileName}: ${warning}`, 'warn');
+        }
+        this.outlet('analysis', job.analysis);
+    }
+    
+    // A reply line from a daemon (see DaemonPool.handleOutput)
+    handleDaemonLine(daemon, line) {
+        // request-id builds tag reply lines with the command's id: [42] SUCCESS: "..." (2285 bytes)
+        let echoedId = null;
+        const tagged = this.pool.supports('request-id') && line.match(/^\[(\d+)\]\s*(.*)$/);
+        if (tagged) {
+            echoedId = parseInt(tagged[1]);
+            line = tagged[2];
+        }
+        
+        if (line.startsWith('SUCCESS:')) {
+            // Parse success message: SUCCESS: "./temp-midi/vocadito_10.mid" (2285 bytes)
+            const match = line.match(/SUCCESS: "((?:[^"\\]|\\.)+)" \((\d+) bytes\)/);
+            if (!match) {
+                return;
+            }
+            
+            const midiFilePath = match[1].replace(/\\(.)/g, '$1');
+            const bytes = parseInt(match[2]);
+            const job = this.takeInFlightJob(daemon, echoedId, midiFilePath);
+            
+            if (!job) {
+                return;
+            }
+            
+            // An untagged reply is for the oldest command; one naming another file would hand this
+            // job someone else's MIDI, so the job fails instead
+            if (echoedId === null && path.resolve(midiFilePath) !== path.resolve(job.daemonMidiPath)) {
+                this.failJob(job, 'INFERENCE_FAILED', `Daemon reply names ${midiFilePath}, expected ${job.daemonMidiPath}`, { daemon: daemon.id });
+                return;
+            }
+            
+            const processingTime = Date.now() - job.startTime;
+            this.recordThroughput(job, processingTime);
+            
+            // Results land in the daemon's folder, named after the file it read (song.proc.mid for
+            // converted inputs); move them to the name the job expects
+            let finalMidiPath = midiFilePath;
+            if (path.resolve(midiFilePath) !== path.resolve(job.expectedMidiPath)) {
+                try {
+                    this.moveFile(midiFilePath, job.expectedMidiPath);
+                    finalMidiPath = job.expectedMidiPath;
+                } catch (error) {
+                    this.post(`⚠️ Could not move ${path.basename(midiFilePath)}: ${error.message}`, 'warn');
+                }
+            }
+            job.midiPath = finalMidiPath;
+            
+            // A trimmed region is transcribed from zero; move it back to where it sits in the source
+            if (job.timeOffset > 0) {
+                this.offsetMidiFile(job, finalMidiPath, job.timeOffset);
+            }
+            
+            // Chunks are stitched into their parent, which reports the result
+            if (job.parentId) {
+                this.post(`🧩 Chunk ${job.chunkIndex + 1} of ${job.fileName} done (${processingTime}ms)`);
+                this.finishJob(job, 'done');
+                return;
+            }
+            
+            this.completeJob(job, finalMidiPath, bytes, processingTime);
+        } else if (line.startsWith('Error processing') || line.startsWith('ERROR:')) {
+            // Handle error messages: "Error processing <file>: <reason>" or "ERROR: <reason>"
+            const job = this.takeInFlightJob(daemon, echoedId, line);
+            
+            if (!job) {
+                return;
+            }
+            
+            // An untagged error naming another input means the replies are out of step; the oldest
+            // job fails either way, but says so
+            const named = line.match(/^Error processing (.+?): /);
+            const mismatch = echoedId === null && named && path.resolve(named[1]) !== path.resolve(job.daemonFilePath);
+            const error = mismatch ? `${line} (expected a reply for ${job.daemonFilePath})` : line;
+            
+            // Also removes the preprocessed file, if any
+            this.failJob(job, 'INFERENCE_FAILED', error, { daemon: daemon.id });
+        } else if (/^progress:/i.test(line)) {
+            // Builds that report progress: "Progress: 42%", "Progress: 0.42" or "Progress: 3/10"
+            const jobId = echoedId !== null ? echoedId : daemon.inFlight[0];
+            const job = this.jobs.get(jobId);
+            const fraction = this.parseDaemonProgress(line);
+            
+            if (job && job.state === 'running' && fraction !== null) {
+                job.reportedProgress = fraction;
+                this.outputProgress(job.parentId ? this.jobs.get(job.parentId) || job : job);
+            }
+        } else if (line.startsWith('Processing:')) {
+            // Handle progress messages - these don't finish a command, so just peek
+            const jobId = echoedId !== null ? echoedId : daemon.inFlight[0];
+            const job = this.jobs.get(jobId);
+            
+            if (job && job.state === 'running') {
+                this.post(`🔄 Processing: ${job.fileName}`, 'debug');
+                this.outlet('processing_progress', job.fileName);
+            }
+        }
+    }
+    
+    // Fraction from a daemon progress line, or null if it doesn't parse
+    parseDaemonProgress(line) {
+        const match = line.match(/^progress:\s*([\d.]+)\s*(%|\/\s*([\d.]+))?/i);
+        if (!match) {
+            return null;
+        }
+        
+        const value = parseFloat(match[1]);
+        const fraction = match[2] === '%' ? value / 100 : (match[3] ? value / parseFloat(match[3]) : value);
+        return isFinite(fraction) ? Math.min(Math.max(fraction, 0), 1) : null;
+    }
+    
+    // Fold a finished job's daemon time per second of audio into the throughput estimate
+    recordThroughput(job, processingTime) {
+        if (!job.audioSeconds || job.audioSeconds < 1) {
+            return; // Startup overhead swamps very short files
+        }
+        
+        const measured = processingTime / job.audioSeconds;
+        this.msPerAudioSecond = this.throughputMeasured
+            ? this.msPerAudioSecond + PROGRESS_SMOOTHING * (measured - this.msPerAudioSecond)
+            : measured;
+        this.throughputMeasured = true;
+    }
+    
+    // { fraction, etaMs } for a running job: the daemon's own progress if it prints any, otherwise
+    // time elapsed against the throughput estimate. A chunked job adds up its chunks.
+    getJobProgress(job) {
+        if (job.chunks) {
+            let totalSeconds = 0;
+            let doneSeconds = 0;
+            let etaMs = 0;
+            for (const chunk of job.chunks) {
+                const seconds = chunk.end - chunk.start;
+                const child = this.jobs.get(chunk.jobId);
+                totalSeconds += seconds;
+                
+                // Finished chunks may already have dropped out of the job history
+                if (!child || child.state === 'done') {
+                    doneSeconds += seconds;
+                } else if (child.state === 'running') {
+                    const progress = this.getJobProgress(child);
+                    doneSeconds += seconds * progress.fraction;
+                    etaMs += progress.etaMs;
+                } else {
+                    etaMs += seconds * this.msPerAudioSecond;
+                }
+            }
+            return { fraction: totalSeconds > 0 ? doneSeconds / totalSeconds : 0, etaMs };
+        }
+        
+        const elapsed = Date.now() - job.startTime;
+        if (job.reportedProgress > 0) {
+            return { fraction: job.reportedProgress, etaMs: elapsed * (1 - job.reportedProgress) / job.reportedProgress };
+        }
+        
+        // Past the estimate the job is nearly done as far as anyone can tell, but not finished
+        const estimate = (job.audioSeconds || 0) * this.msPerAudioSecond;
+        if (estimate <= 0) {
+            return { fraction: 0, etaMs: 0 };
+        }
+        return { fraction: Math.min(elapsed / estimate, 0.99), etaMs: Math.max(estimate - elapsed, 0) };
+    }
+    
+    outputProgress(job) {
+        const { fraction, etaMs } = this.getJobProgress(job);
+        this.outlet('progress', job.fileName, Math.round(fraction * 1000) / 1000, Math.round(etaMs));
+    }
+    
+    // Send progress for every running job on a timer, which stops once nothing is running.
+    // Chunks are reported through the job they belong to.
+    startProgressTimer() {
+        if (this.progressTimer) {
+            return;
+        }
+        
+        this.progressTimer = setInterval(() => {
+            const running = [...this.jobs.values()].filter(job => job.state === 'running' && !job.parentId);
+            if (running.length === 0) {
+                clearInterval(this.progressTimer);
+                this.progressTimer = null;
+                return;
+            }
+            for (const job of running) {
+                this.outputProgress(job);
+            }
+        }, PROGRESS_INTERVAL_MS);
+    }
+    
+    // Post-process, export and report a finished transcription
+    completeJob(job, finalMidiPath, bytes, processingTime) {
+        this.lastMidiPath = finalMidiPath;
+        
+        // The raw transcription is cached; post-processing and exports follow the current settings
+        if (job.audioHash && !job.cacheHit) {
+            try {
+                const key = this.cache.makeKey(job.audioHash, this.getJobFlags(job), job.preprocessOptions, job.chunking);
+                this.cache.store(key, finalMidiPath, job.filePath);
+            } catch (error) {
+                this.post(`⚠️ Could not cache ${path.basename(finalMidiPath)}: ${error.message}`, 'warn');
+            }
+        }
+        
+        if (this.hasPostProcessing()) {
+            job.processedMidiPath = this.postProcessMidi(job, finalMidiPath);
+        }
+        
+        // Exports follow the cleaned-up version when there is one
+        job.exportPaths = this.exportNotes(job, job.processedMidiPath || finalMidiPath);
+        
+        this.post(`✅ Successfully processed: ${job.fileName} -> ${path.basename(finalMidiPath)} (${bytes} bytes, ${processingTime}ms${job.cacheHit ? ', cached' : ''})`);
+        
+        // Send the final MIDI file path back to Max, then whether it came from the cache and any exported files
+        this.outlet('progress', job.fileName, 1, 0);
+        this.outlet(finalMidiPath);
+        this.outlet('processing_complete', job.fileName, finalMidiPath, bytes, processingTime, job.cacheHit ? 1 : 0, ...job.exportPaths);
+        this.outputNoteDict(job, finalMidiPath);
+        this.outputAnalysis(job, finalMidiPath);
+        
+        // Also removes the preprocessed file, if any
+        this.finishJob(job, 'done');
+    }
+    
+    // Rename, falling back to copy and delete when outdir is on another volume than temp-midi
+    moveFile(fromPath, toPath) {
+        const dir = path.dirname(toPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        
+        try {
+            fs.renameSync(fromPath, toPath);
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+            fs.copyFileSync(fromPath, toPath);
+            fs.unlinkSync(fromPath);
+        }
+    }
+    
+    // This engine's own folder in tempRoot, made on first use and removed at shutdown
+    getTempDir() {
+        if (!this.tempDir || !fs.existsSync(this.tempDir)) {
+            fs.mkdirSync(this.tempRoot, { recursive: true });
+            this.tempDir = fs.mkdtempSync(path.join(this.tempRoot, `run-${process.pid}-`));
+        }
+        return this.tempDir;
+    }
+    
+    // Remove what crashed runs left in temp-midi: the folders of servers whose process is gone
+    // (daemon output, converted audio, sample recordings, chunk MIDI), and loose files from
+    // versions that shared one folder. Running servers' folders are left alone.
+    cleanupTempFiles() {
+        if (!fs.existsSync(this.tempRoot)) {
+            return;
+        }
+        
+        const isRunning = (pid) => {
+            try {
+                process.kill(pid, 0);
+                return true;
+            } catch (error) {
+                return error.code === 'EPERM';
+            }
+        };
+        
+        let removed = 0;
+        for (const entry of fs.readdirSync(this.tempRoot, { withFileTypes: true })) {
+            const run = entry.isDirectory() && entry.name.match(/^run-(\d+)-/);
+            const isOrphan = run
+                ? !isRunning(parseInt(run[1]))
+                : entry.isDirectory() ? /^daemon-\d+$/.test(entry.name) : /\.wav$/i.test(entry.name) || /-\d+-chunk\d+\.mid$/.test(entry.name);
+            if (!isOrphan) {
+                continue;
+            }
+            
+            try {
+                fs.rmSync(path.join(this.tempRoot, entry.name), { recursive: true, force: true });
+                removed++;
+            } catch (error) {
+                this.post(`⚠️ Could not remove ${entry.name}: ${error.message}`, 'warn');
+            }
+        }
+        
+        if (removed > 0) {
+            this.post(`🗑️ Removed ${removed} leftover temporary file${removed === 1 ? '' : 's'} from ${path.basename(this.tempRoot)}`);
+        }
+    }
+    
+    // Consume the in-flight command that a final reply line belongs to and return its job.
+    // Untagged replies go to the oldest command, since the daemon answers commands one at a time.
+    takeInFlightJob(daemon, echoedId, description) {
+        const jobId = echoedId !== null ? echoedId : daemon.inFlight[0];
+        const index = daemon.inFlight.indexOf(jobId);
+        
+        if (index === -1) {
+            this.post(`❌ No in-flight command for daemon reply: ${description}`, 'warn');
+            return null;
+        }
+        
+        daemon.inFlight.splice(index, 1);
+        
+        const job = this.jobs.get(jobId);
+        if (!job || job.state !== 'running') {
+            // The job timed out or was cancelled while the daemon was still working on it
+            this.post(`🔍 Ignoring reply for abandoned job ${jobId}: ${description}`, 'debug');
+            return null;
+        }
+        
+        return job;
+    }
+    
+    // Stop everything the engine started. The process is left running; the adapter exits it.
+    shutdown() {
+        this.post('🛑 Shutting down BasicPitch server...');
+        
+        clearInterval(this.cleanupTimer);
+        clearInterval(this.progressTimer);
+        this.player.stop();
+        this.watcher.shutdown();
+        this.pool.shutdown();
+        
+        // Cache hits only update the index in memory
+        try {
+            this.cache.flush();
+        } catch (error) {
+            this.post(`⚠️ Could not save the cache index: ${error.message}`, 'warn');
+        }
+        
+        if (this.tempDir) {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+            this.tempDir = null;
+        }
+        
+        this.post('Server shutdown complete.');
+        this.outlet('shutdown');
+    }
+}
+
+module.exports = {
+    BasicPitchEngine,
+    BasicPitchError,
+    ERROR_CODES,
+    PARAMETER_SCHEMA,
+    DAEMON_PARAMETERS
+};
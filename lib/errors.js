@@ -0,0 +1,34 @@
+// Error codes shared by every error the engine reports. Each goes out as one message,
+// error <code> <request_id> <file> <message>, followed by error_detail with a dict of the same
+// fields plus whatever else is known (ffmpeg's stderr, the daemon's exit code, ...).
+const ERROR_CODES = {
+    FILE_NOT_FOUND: 'An audio file or folder does not exist',
+    FFMPEG_MISSING: 'The file needs ffmpeg and none was found',
+    PREPROCESS_FAILED: 'Converting or preprocessing the audio failed',
+    DAEMON_START_FAILED: 'The daemon binary is missing, not runnable or rejected its flags',
+    DAEMON_NOT_READY: 'The daemon did not become ready in time for a request',
+    DAEMON_CRASHED: 'The daemon kept exiting while running a job',
+    INVALID_FLAG: 'A daemon parameter is unknown or out of range',
+    INVALID_ARGUMENT: 'A message or option had a missing or bad value',
+    TIMEOUT: 'A job ran longer than its timeout',
+    INFERENCE_FAILED: 'The daemon reported an error for a job',
+    OUTPUT_FAILED: 'Reading, post-processing, exporting or playing the MIDI failed',
+    INTERNAL: 'An unexpected error in the script',
+    // Only for transcribe() rejections; cancelling is not reported as an error
+    CANCELLED: 'The job was cancelled before it finished'
+};
+
+// An Error with one of the codes above and optional details for error_detail
+class BasicPitchError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'BasicPitchError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    ERROR_CODES,
+    BasicPitchError
+};
@@ -0,0 +1,236 @@
+// Writers for note lists in formats other than MIDI. All take the note dict built by
+// BasicPitchEngine.buildNoteDict in lib/engine.js (notes with onset/duration in ms and beats).
+
+const EXPORT_FORMATS = ['json', 'csv', 'coll', 'text', 'musicxml'];
+
+// File name suffix for each format, appended to the MIDI basename
+const EXPORT_SUFFIXES = {
+    'json': '.notes.json',
+    'csv': '.notes.csv',
+    'coll': '.coll.txt',
+    'text': '.notes.txt',
+    'musicxml': '.musicxml'
+};
+
+// MusicXML is written on a sixteenth-note grid in 4/4
+const XML_DIVISIONS = 4; // Per quarter note
+const XML_MEASURE_LENGTH = 16;
+
+// Note types by length in sixteenths, dotted ones included, longest first
+const XML_NOTE_TYPES = [
+    [16, 'whole', false],
+    [12, 'half', true],
+    [8, 'half', false],
+    [6, 'quarter', true],
+    [4, 'quarter', false],
+    [3, 'eighth', true],
+    [2, 'eighth', false],
+    [1, '16th', false]
+];
+
+const XML_STEPS = [['C', 0], ['C', 1], ['D', 0], ['D', 1], ['E', 0], ['F', 0], ['F', 1], ['G', 0], ['G', 1], ['A', 0], ['A', 1], ['B', 0]];
+
+function toJson(noteDict) {
+    return JSON.stringify(noteDict, null, 2);
+}
+
+function toCsv(noteDict) {
+    const lines = ['pitch,velocity,onset_ms,duration_ms,onset_beats,duration_beats'];
+    for (const note of noteDict.notes) {
+        lines.push([note.pitch, note.velocity, note.onset_ms, note.duration_ms, note.onset_beats, note.duration_beats].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// coll: "index, onset_ms pitch velocity duration_ms;"
+function toColl(noteDict) {
+    return noteDict.notes
+        .map((note, index) => `${index + 1}, ${note.onset_ms} ${note.pitch} ${note.velocity} ${note.duration_ms};`)
+        .join('\n') + '\n';
+}
+
+// text: one "onset_ms pitch velocity duration_ms;" line per note
+function toText(noteDict) {
+    return noteDict.notes
+        .map(note => `${note.onset_ms} ${note.pitch} ${note.velocity} ${note.duration_ms};`)
+        .join('\n') + '\n';
+}
+
+function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Split a length in sixteenths into note types that can be tied together
+function splitDuration(length) {
+    const parts = [];
+    while (length > 0) {
+        const [size, type, dotted] = XML_NOTE_TYPES.find(([candidate]) => candidate <= length);
+        parts.push({ size, type, dotted });
+        length -= size;
+    }
+    return parts;
+}
+
+function xmlNote(pitches, part, chordIndex, tieStart, tieStop) {
+    const lines = ['      <note>'];
+    if (chordIndex > 0) {
+        lines.push('        <chord/>');
+    }
+    if (pitches === null) {
+        lines.push('        <rest/>');
+    } else {
+        const pitch = pitches[chordIndex];
+        const [step, alter] = XML_STEPS[pitch % 12];
+        lines.push('        <pitch>');
+        lines.push(`          <step>${step}</step>`);
+        if (alter) {
+            lines.push(`          <alter>${alter}</alter>`);
+        }
+        lines.push(`          <octave>${Math.floor(pitch / 12) - 1}</octave>`);
+        lines.push('        </pitch>');
+    }
+    lines.push(`        <duration>${part.size * XML_DIVISIONS / 4}</duration>`);
+    if (tieStop) {
+        lines.push('        <tie type="stop"/>');
+    }
+    if (tieStart) {
+        lines.push('        <tie type="start"/>');
+    }
+    lines.push(`        <type>${part.type}</type>`);
+    if (part.dotted) {
+        lines.push('        <dot/>');
+    }
+    if (tieStart || tieStop) {
+        lines.push('        <notations>');
+        if (tieStop) {
+            lines.push('          <tied type="stop"/>');
+        }
+        if (tieStart) {
+            lines.push('          <tied type="start"/>');
+        }
+        lines.push('        </notations>');
+    }
+    lines.push('      </note>');
+    return lines.join('\n');
+}
+
+// Single-voice MusicXML: onsets snap to sixteenths, simultaneous notes become chords and each
+// chord is cut off at the next onset, so overlapping lines are simplified rather than voiced
+function toMusicXml(noteDict, title = 'Transcription') {
+    const chords = new Map(); // onset in sixteenths -> { pitches, end }
+    for (const note of noteDict.notes) {
+        const onset = Math.round(note.onset_beats * 4);
+        const end = Math.max(onset + 1, Math.round((note.onset_beats + note.duration_beats) * 4));
+        if (!chords.has(onset)) {
+            chords.set(onset, { pitches: [], end });
+        }
+        const chord = chords.get(onset);
+        if (!chord.pitches.includes(note.pitch)) {
+            chord.pitches.push(note.pitch);
+        }
+        chord.end = Math.max(chord.end, end);
+    }
+
+    // Timeline of events (chords and rests) that fill every sixteenth from 0
+    const onsets = [...chords.keys()].sort((a, b) => a - b);
+    const events = [];
+    let cursor = 0;
+    onsets.forEach((onset, index) => {
+        if (onset > cursor) {
+            events.push({ start: cursor, length: onset - cursor, pitches: null });
+        }
+        const chord = chords.get(onset);
+        const next = index + 1 < onsets.length ? onsets[index + 1] : Infinity;
+        const end = Math.min(chord.end, next);
+        events.push({ start: onset, length: end - onset, pitches: chord.pitches.sort((a, b) => a - b) });
+        cursor = end;
+    });
+
+    // Pad the last measure with a rest
+    const total = Math.max(XML_MEASURE_LENGTH, Math.ceil(cursor / XML_MEASURE_LENGTH) * XML_MEASURE_LENGTH);
+    if (total > cursor) {
+        events.push({ start: cursor, length: total - cursor, pitches: null });
+    }
+
+    const measures = [];
+    for (let measureStart = 0; measureStart < total; measureStart += XML_MEASURE_LENGTH) {
+        measures.push([]);
+    }
+
+    // Cut events at barlines, tying the pieces of sounding notes
+    for (const event of events) {
+        let position = event.start;
+        const end = event.start + event.length;
+        while (position < end) {
+            const measureIndex = Math.floor(position / XML_MEASURE_LENGTH);
+            const barline = (measureIndex + 1) * XML_MEASURE_LENGTH;
+            const pieceEnd = Math.min(end, barline);
+            const parts = splitDuration(pieceEnd - position);
+
+            parts.forEach((part, partIndex) => {
+                const tieStop = event.pitches !== null && (position > event.start || partIndex > 0);
+                const tieStart = event.pitches !== null && (pieceEnd < end || partIndex < parts.length - 1);
+                const count = event.pitches === null ? 1 : event.pitches.length;
+                for (let chordIndex = 0; chordIndex < count; chordIndex++) {
+                    measures[measureIndex].push(xmlNote(event.pitches, part, chordIndex, tieStart, tieStop));
+                }
+            });
+            position = pieceEnd;
+        }
+    }
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+        '<score-partwise version="3.1">',
+        `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+        '  <part-list>',
+        '    <score-part id="P1"><part-name>Basic Pitch</part-name></score-part>',
+        '  </part-list>',
+        '  <part id="P1">'
+    ];
+
+    measures.forEach((notes, index) => {
+        lines.push(`    <measure number="${index + 1}">`);
+        if (index === 0) {
+            lines.push('      <attributes>');
+            lines.push(`        <divisions>${XML_DIVISIONS}</divisions>`);
+            lines.push('        <key><fifths>0</fifths></key>');
+            lines.push('        <time><beats>4</beats><beat-type>4</beat-type></time>');
+            lines.push('        <clef><sign>G</sign><line>2</line></clef>');
+            lines.push('      </attributes>');
+            lines.push('      <direction placement="above">');
+            lines.push('        <direction-type><metronome><beat-unit>quarter</beat-unit>' +
+                `<per-minute>${Math.round(noteDict.tempo_bpm)}</per-minute></metronome></direction-type>`);
+            lines.push(`        <sound tempo="${Math.round(noteDict.tempo_bpm)}"/>`);
+            lines.push('      </direction>');
+        }
+        lines.push(...notes);
+        lines.push('    </measure>');
+    });
+
+    lines.push('  </part>', '</score-partwise>');
+    return lines.join('\n') + '\n';
+}
+
+function formatNotes(format, noteDict, title) {
+    switch (format) {
+    case 'json': return toJson(noteDict);
+    case 'csv': return toCsv(noteDict);
+    case 'coll': return toColl(noteDict);
+    case 'text': return toText(noteDict);
+    case 'musicxml': return toMusicXml(noteDict, title);
+    default: throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_SUFFIXES,
+    toJson,
+    toCsv,
+    toColl,
+    toText,
+    toMusicXml,
+    formatNotes
+};
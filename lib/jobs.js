@@ -0,0 +1,149 @@
+// The job table and dispatch queue. Jobs are plain objects (see BasicPitchEngine.createJob); this
+// keeps them by id, keeps the ids waiting for a daemon in order and keeps the last few finished
+// jobs for the pending report. What running a job means is up to the engine. Every state change
+// is emitted as a 'state' event.
+const EventEmitter = require('events');
+
+// Number of finished jobs kept around for the `pending` report
+const JOB_HISTORY_LIMIT = 20;
+
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+class JobQueue extends EventEmitter {
+    constructor(historyLimit = JOB_HISTORY_LIMIT) {
+        super();
+        this.jobs = new Map(); // jobId -> job, including recently finished jobs
+        this.queue = []; // jobIds waiting to be dispatched, in order
+        this.counter = 0;
+        this.historyLimit = historyLimit;
+    }
+
+    // Register a new job in the queued state, without putting it in the queue. job.done resolves
+    // with the job once it reaches done, failed or cancelled.
+    create(fields) {
+        const id = ++this.counter;
+        const job = {
+            id: id,
+            ...fields,
+            requestId: fields.requestId || id,
+            state: 'queued',
+            queuedAt: Date.now(),
+            startTime: null,
+            finishedAt: null,
+            error: null
+        };
+
+        job.done = new Promise(resolve => {
+            job.resolveDone = resolve;
+        });
+
+        this.jobs.set(id, job);
+        return job;
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId);
+    }
+
+    values() {
+        return this.jobs.values();
+    }
+
+    isFinished(job) {
+        return FINISHED_STATES.includes(job.state);
+    }
+
+    setState(job, state) {
+        job.state = state;
+        this.emit('state', job);
+    }
+
+    // Queue a job behind the others
+    push(job) {
+        this.queue.push(job.id);
+        return this.queue.length;
+    }
+
+    // Queue a job ahead of the others, for one that was interrupted
+    unshift(job) {
+        this.queue.unshift(job.id);
+    }
+
+    // Take a job out of the queue; returns whether it was queued
+    remove(job) {
+        const index = this.queue.indexOf(job.id);
+        if (index === -1) {
+            return false;
+        }
+        this.queue.splice(index, 1);
+        return true;
+    }
+
+    // 1-based place in the queue, or 0 if the job isn't waiting
+    position(job) {
+        return this.queue.indexOf(job.id) + 1;
+    }
+
+    get length() {
+        return this.queue.length;
+    }
+
+    // Queued jobs in dispatch order
+    waiting() {
+        return this.queue.map(jobId => this.jobs.get(jobId));
+    }
+
+    // Move a queued job to the front of the queue; returns it, or null if it isn't queued
+    prioritize(jobId) {
+        const job = this.jobs.get(parseInt(jobId));
+        if (!job || !this.remove(job)) {
+            return null;
+        }
+        this.unshift(job);
+        return job;
+    }
+
+    // Move a job to a final state, then drop all but the most recent finished jobs
+    finish(job, state, error = null) {
+        job.finishedAt = Date.now();
+        job.error = error;
+        this.setState(job, state);
+        job.resolveDone(job);
+
+        const finished = this.history().reverse();
+        for (const old of finished.slice(0, Math.max(0, finished.length - this.historyLimit))) {
+            this.jobs.delete(old.id);
+        }
+    }
+
+    // Unfinished jobs matching an id, a full path or a file name
+    matching(target) {
+        const jobId = parseInt(target);
+        const byId = String(jobId) === String(target).trim();
+
+        return [...this.jobs.values()].filter(job => !this.isFinished(job) &&
+            (byId ? job.id === jobId : job.filePath === target || job.fileName === target));
+    }
+
+    unfinished() {
+        return [...this.jobs.values()].filter(job => !this.isFinished(job));
+    }
+
+    // Finished jobs, most recent first
+    history() {
+        return [...this.jobs.values()]
+            .filter(job => this.isFinished(job))
+            .sort((a, b) => b.finishedAt - a.finishedAt);
+    }
+
+    forgetFinished() {
+        for (const job of this.history()) {
+            this.jobs.delete(job.id);
+        }
+    }
+}
+
+module.exports = {
+    JobQueue,
+    JOB_HISTORY_LIMIT
+};
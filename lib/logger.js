@@ -0,0 +1,88 @@
+// Log levels for console messages, the daemon protocol trace file and the stderr filter.
+// Messages at or above the chosen level are shown; trace also shows every raw daemon line.
+const fs = require('fs');
+const path = require('path');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+const DEFAULT_LOG_LEVEL = 'info';
+
+// Harmless ONNX Runtime schema registration warnings the daemon prints at every start
+const DEFAULT_SUPPRESS_PATTERNS = ['Schema error', 'but it is already registered from file'];
+
+// The trace file is rotated to .1, .2, ... once it reaches this size
+const DEFAULT_TRACE_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_TRACE_FILES = 3;
+
+function parseLogLevel(value) {
+    const level = String(value).toLowerCase();
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Log level must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    return level;
+}
+
+// Whether a message at `level` passes a `threshold` level
+function isLevelEnabled(level, threshold) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(threshold);
+}
+
+// Suppression patterns are regular expressions, so plain text matches anywhere in the line
+function compilePattern(pattern) {
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        throw new Error(`Invalid pattern ${pattern}: ${error.message}`);
+    }
+}
+
+// Timestamped record of everything written to and read from the daemons, one line each:
+// 2024-05-01T12:00:00.000Z daemon-1 stdin  [42] process "song.wav" "temp-midi/daemon-1" 42
+class TraceLog {
+    constructor(filePath, maxBytes = DEFAULT_TRACE_MAX_BYTES, files = DEFAULT_TRACE_FILES) {
+        this.filePath = filePath;
+        this.maxBytes = maxBytes;
+        this.files = files; // Rotated files kept besides the current one
+
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        this.bytes = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    }
+
+    write(source, stream, requestId, text) {
+        const line = `${new Date().toISOString()} ${source} ${stream.padEnd(6)} [${requestId || '-'}] ${text}\n`;
+        if (this.bytes > 0 && this.bytes + Buffer.byteLength(line) > this.maxBytes) {
+            this.rotate();
+        }
+        fs.appendFileSync(this.filePath, line);
+        this.bytes += Buffer.byteLength(line);
+    }
+
+    // trace.log -> trace.log.1 -> trace.log.2 ..., dropping the oldest
+    rotate() {
+        for (let index = this.files; index >= 1; index--) {
+            const from = index === 1 ? this.filePath : `${this.filePath}.${index - 1}`;
+            if (!fs.existsSync(from)) {
+                continue;
+            }
+            if (index === this.files && fs.existsSync(`${this.filePath}.${index}`)) {
+                fs.unlinkSync(`${this.filePath}.${index}`);
+            }
+            fs.renameSync(from, `${this.filePath}.${index}`);
+        }
+        this.bytes = 0;
+    }
+}
+
+module.exports = {
+    LOG_LEVELS,
+    DEFAULT_LOG_LEVEL,
+    DEFAULT_SUPPRESS_PATTERNS,
+    DEFAULT_TRACE_MAX_BYTES,
+    DEFAULT_TRACE_FILES,
+    parseLogLevel,
+    isLevelEnabled,
+    compilePattern,
+    TraceLog
+};
@@ -0,0 +1,309 @@
+// Minimal Standard MIDI File reader used to turn the daemon's output into note events
+const fs = require('fs');
+
+// Basic Pitch writes bends assuming the General MIDI default range of +/- 2 semitones
+const PITCH_BEND_RANGE_SEMITONES = 2;
+const DEFAULT_TEMPO_US_PER_BEAT = 500000; // 120 BPM
+
+// Read a variable-length quantity, returning the value and the offset after it
+function readVarLen(buffer, offset) {
+    let value = 0;
+    let byte;
+
+    do {
+        if (offset >= buffer.length) {
+            throw new Error('Unexpected end of data in variable-length value');
+        }
+        byte = buffer[offset++];
+        value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+
+    return { value, offset };
+}
+
+function parseTrack(buffer, start, end, trackIndex) {
+    const events = [];
+    let offset = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    while (offset < end) {
+        const delta = readVarLen(buffer, offset);
+        offset = delta.offset;
+        tick += delta.value;
+
+        let status = buffer[offset];
+        if (status & 0x80) {
+            offset++;
+        } else if (runningStatus !== null) {
+            // Running status: reuse the previous channel status byte
+            status = runningStatus;
+        } else {
+            throw new Error(`Data byte without status in track ${trackIndex}`);
+        }
+
+        if (status === 0xff) {
+            const metaType = buffer[offset++];
+            const length = readVarLen(buffer, offset);
+            const data = buffer.slice(length.offset, length.offset + length.value);
+            offset = length.offset + length.value;
+
+            if (metaType === 0x51 && data.length === 3) {
+                events.push({ tick, track: trackIndex, type: 'tempo', usPerBeat: (data[0] << 16) | (data[1] << 8) | data[2] });
+            } else if (metaType === 0x58 && data.length >= 2) {
+                events.push({ tick, track: trackIndex, type: 'timeSignature', numerator: data[0], denominator: Math.pow(2, data[1]) });
+            } else if (metaType === 0x03) {
+                events.push({ tick, track: trackIndex, type: 'trackName', text: data.toString('latin1') });
+            } else if (metaType === 0x2f) {
+                break; // End of track
+            }
+            continue;
+        }
+
+        if (status === 0xf0 || status === 0xf7) {
+            // Sysex: skip the payload
+            const length = readVarLen(buffer, offset);
+            offset = length.offset + length.value;
+            continue;
+        }
+
+        runningStatus = status;
+        const kind = status & 0xf0;
+        const channel = status & 0x0f;
+        const data1 = buffer[offset++];
+        // Program change and channel pressure carry a single data byte
+        const data2 = (kind === 0xc0 || kind === 0xd0) ? 0 : buffer[offset++];
+
+        if (kind === 0x90 && data2 > 0) {
+            events.push({ tick, track: trackIndex, type: 'noteOn', channel, pitch: data1, velocity: data2 });
+        } else if (kind === 0x80 || kind === 0x90) {
+            events.push({ tick, track: trackIndex, type: 'noteOff', channel, pitch: data1, velocity: data2 });
+        } else if (kind === 0xe0) {
+            events.push({ tick, track: trackIndex, type: 'pitchBend', channel, value: ((data2 << 7) | data1) - 8192 });
+        } else if (kind === 0xb0) {
+            events.push({ tick, track: trackIndex, type: 'controller', channel, controller: data1, value: data2 });
+        } else if (kind === 0xc0) {
+            events.push({ tick, track: trackIndex, type: 'program', channel, program: data1 });
+        }
+    }
+
+    return events;
+}
+
+// Parse a Standard MIDI File buffer into its header fields and per-track event lists
+function parseMidi(buffer) {
+    if (buffer.length < 14 || buffer.toString('ascii', 0, 4) !== 'MThd') {
+        throw new Error('Not a MIDI file (missing MThd header)');
+    }
+
+    const headerLength = buffer.readUInt32BE(4);
+    const format = buffer.readUInt16BE(8);
+    const trackCount = buffer.readUInt16BE(10);
+    const division = buffer.readUInt16BE(12);
+
+    if (division & 0x8000) {
+        throw new Error('SMPTE time division is not supported');
+    }
+
+    const tracks = [];
+    let offset = 8 + headerLength;
+
+    while (offset + 8 <= buffer.length && tracks.length < trackCount) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkLength = buffer.readUInt32BE(offset + 4);
+        const chunkEnd = Math.min(offset + 8 + chunkLength, buffer.length);
+
+        if (chunkId === 'MTrk') {
+            tracks.push(parseTrack(buffer, offset + 8, chunkEnd, tracks.length));
+        }
+        offset = chunkEnd;
+    }
+
+    return { format, ticksPerBeat: division, tracks };
+}
+
+// Build a tick -> seconds converter from every tempo event in the file
+function createTempoMap(midi) {
+    const tempos = [];
+    for (const track of midi.tracks) {
+        for (const event of track) {
+            if (event.type === 'tempo') {
+                tempos.push(event);
+            }
+        }
+    }
+    tempos.sort((a, b) => a.tick - b.tick);
+
+    // Segments of constant tempo, each with the time in seconds at which it starts
+    const segments = [{ tick: 0, seconds: 0, usPerBeat: DEFAULT_TEMPO_US_PER_BEAT }];
+    for (const tempo of tempos) {
+        const last = segments[segments.length - 1];
+        const seconds = last.seconds + ((tempo.tick - last.tick) * last.usPerBeat) / (midi.ticksPerBeat * 1e6);
+
+        if (tempo.tick === last.tick) {
+            last.usPerBeat = tempo.usPerBeat;
+        } else {
+            segments.push({ tick: tempo.tick, seconds, usPerBeat: tempo.usPerBeat });
+        }
+    }
+
+    const ticksToSeconds = (tick) => {
+        let segment = segments[0];
+        for (const candidate of segments) {
+            if (candidate.tick > tick) {
+                break;
+            }
+            segment = candidate;
+        }
+        return segment.seconds + ((tick - segment.tick) * segment.usPerBeat) / (midi.ticksPerBeat * 1e6);
+    };
+
+    return { segments, ticksToSeconds, bpm: 60e6 / segments[0].usPerBeat };
+}
+
+// Pair note-on/off events into notes with times in seconds, attaching pitch bends to the
+// notes sounding on the same channel when each bend happens
+function extractNotes(midi) {
+    const tempoMap = createTempoMap(midi);
+    const notes = [];
+    const bends = [];
+
+    for (const track of midi.tracks) {
+        const open = new Map(); // "channel:pitch" -> stack of unfinished notes
+
+        for (const event of track) {
+            const key = `${event.channel}:${event.pitch}`;
+
+            if (event.type === 'noteOn') {
+                const note = {
+                    pitch: event.pitch,
+                    velocity: event.velocity,
+                    channel: event.channel,
+                    track: event.track,
+                    startTick: event.tick,
+                    endTick: null,
+                    bends: []
+                };
+                notes.push(note);
+                if (!open.has(key)) {
+                    open.set(key, []);
+                }
+                open.get(key).push(note);
+            } else if (event.type === 'noteOff') {
+                // Close the oldest open note with this pitch (first in, first out)
+                const stack = open.get(key);
+                if (stack && stack.length > 0) {
+                    stack.shift().endTick = event.tick;
+                }
+            } else if (event.type === 'pitchBend') {
+                bends.push(event);
+            }
+        }
+
+        // Notes that never got a note-off end at the last event of their track
+        const lastTick = track.length > 0 ? track[track.length - 1].tick : 0;
+        for (const stack of open.values()) {
+            for (const note of stack) {
+                note.endTick = Math.max(lastTick, note.startTick);
+            }
+        }
+    }
+
+    for (const note of notes) {
+        note.start = tempoMap.ticksToSeconds(note.startTick);
+        note.end = tempoMap.ticksToSeconds(note.endTick);
+    }
+
+    for (const bend of bends) {
+        for (const note of notes) {
+            if (note.track === bend.track && note.channel === bend.channel &&
+                bend.tick >= note.startTick && bend.tick <= note.endTick) {
+                note.bends.push({
+                    tick: bend.tick,
+                    time: tempoMap.ticksToSeconds(bend.tick),
+                    semitones: (bend.value / 8192) * PITCH_BEND_RANGE_SEMITONES
+                });
+            }
+        }
+    }
+
+    notes.sort((a, b) => a.startTick - b.startTick || a.pitch - b.pitch);
+
+    return { notes, ticksPerBeat: midi.ticksPerBeat, tempoMap };
+}
+
+function readMidiNotes(filePath) {
+    return extractNotes(parseMidi(fs.readFileSync(filePath)));
+}
+
+function writeVarLen(value) {
+    const bytes = [value & 0x7f];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+        value >>= 7;
+    }
+    return bytes;
+}
+
+// Write notes (times in seconds, as returned by extractNotes) to a single-track MIDI file
+// at a constant tempo. Pitch bends are written on each note's channel.
+function writeMidi(notes, options = {}) {
+    const ticksPerBeat = options.ticksPerBeat || 480;
+    const bpm = options.bpm || 120;
+    const toTicks = (seconds) => Math.max(0, Math.round((seconds * bpm * ticksPerBeat) / 60));
+
+    // order: note-offs sort before bends and note-ons on the same tick so repeated notes retrigger
+    const events = [];
+    const writtenBends = new Set(); // Notes sharing a channel carry the same bend events
+    for (const note of notes) {
+        const channel = note.channel || 0;
+        const startTick = toTicks(note.start);
+        const endTick = Math.max(toTicks(note.end), startTick + 1);
+
+        events.push({ tick: startTick, order: 2, bytes: [0x90 | channel, note.pitch, Math.max(1, Math.min(127, Math.round(note.velocity)))] });
+        events.push({ tick: endTick, order: 0, bytes: [0x80 | channel, note.pitch, 0] });
+
+        for (const bend of note.bends || []) {
+            const value = Math.max(-8192, Math.min(8191, Math.round((bend.semitones / PITCH_BEND_RANGE_SEMITONES) * 8192))) + 8192;
+            const key = `${channel}:${toTicks(bend.time)}:${value}`;
+            if (writtenBends.has(key)) {
+                continue;
+            }
+            writtenBends.add(key);
+            events.push({ tick: toTicks(bend.time), order: 1, bytes: [0xe0 | channel, value & 0x7f, value >> 7] });
+        }
+    }
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const usPerBeat = Math.round(60e6 / bpm);
+    const track = [0x00, 0xff, 0x51, 0x03, (usPerBeat >> 16) & 0xff, (usPerBeat >> 8) & 0xff, usPerBeat & 0xff];
+    let lastTick = 0;
+    for (const event of events) {
+        track.push(...writeVarLen(event.tick - lastTick), ...event.bytes);
+        lastTick = event.tick;
+    }
+    track.push(0x00, 0xff, 0x2f, 0x00);
+
+    const header = Buffer.alloc(14);
+    header.write('MThd', 0, 'ascii');
+    header.writeUInt32BE(6, 4);
+    header.writeUInt16BE(0, 8); // Format 0
+    header.writeUInt16BE(1, 10);
+    header.writeUInt16BE(ticksPerBeat, 12);
+
+    const trackHeader = Buffer.alloc(8);
+    trackHeader.write('MTrk', 0, 'ascii');
+    trackHeader.writeUInt32BE(track.length, 4);
+
+    return Buffer.concat([header, trackHeader, Buffer.from(track)]);
+}
+
+module.exports = {
+    PITCH_BEND_RANGE_SEMITONES,
+    parseMidi,
+    createTempoMap,
+    extractNotes,
+    readMidiNotes,
+    writeMidi
+};
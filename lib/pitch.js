@@ -0,0 +1,194 @@
+// Pitch-domain cleanup of transcribed notes: voice reduction, octave-error fixing and scale
+// snapping. Notes use the extractNotes shape from ./midi.
+
+const NOTE_NAMES = ['c', 'c#', 'd', 'd#', 'e', 'f', 'f#', 'g', 'g#', 'a', 'a#', 'b'];
+const FLAT_NAMES = { 'db': 1, 'eb': 3, 'gb': 6, 'ab': 8, 'bb': 10 };
+
+const SCALES = {
+    'major': [0, 2, 4, 5, 7, 9, 11],
+    'minor': [0, 2, 3, 5, 7, 8, 10],
+    'dorian': [0, 2, 3, 5, 7, 9, 10],
+    'phrygian': [0, 1, 3, 5, 7, 8, 10],
+    'lydian': [0, 2, 4, 6, 7, 9, 11],
+    'mixolydian': [0, 2, 4, 5, 7, 9, 10],
+    'locrian': [0, 1, 3, 5, 6, 8, 10],
+    'harmonic-minor': [0, 2, 3, 5, 7, 8, 11],
+    'major-pentatonic': [0, 2, 4, 7, 9],
+    'minor-pentatonic': [0, 3, 5, 7, 10],
+    'chromatic': [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+// Krumhansl-Kessler key profiles
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Octave-error fixing: a note this far from both neighbours, on the same side, is suspect
+const OCTAVE_JUMP_MIN = 10;
+const OCTAVE_FIX_MAX_DISTANCE = 7;
+
+const DEFAULT_PITCH_OPTIONS = {
+    'key': 'auto',
+    'scale': 'auto',
+    'snap-to-scale': false,
+    'fix-octaves': false,
+    'voice': 'off'
+};
+
+function parseKeyName(name) {
+    const lower = String(name).toLowerCase();
+    if (FLAT_NAMES[lower] !== undefined) {
+        return FLAT_NAMES[lower];
+    }
+    const index = NOTE_NAMES.indexOf(lower);
+    return index === -1 ? null : index;
+}
+
+function correlate(a, b) {
+    const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+    let numerator = 0;
+    let denomA = 0;
+    let denomB = 0;
+    for (let i = 0; i < a.length; i++) {
+        numerator += (a[i] - meanA) * (b[i] - meanB);
+        denomA += (a[i] - meanA) ** 2;
+        denomB += (b[i] - meanB) ** 2;
+    }
+    return denomA === 0 || denomB === 0 ? 0 : numerator / Math.sqrt(denomA * denomB);
+}
+
+// Duration- and velocity-weighted pitch-class histogram
+function pitchClassHistogram(notes) {
+    const histogram = new Array(12).fill(0);
+    for (const note of notes) {
+        histogram[note.pitch % 12] += (note.end - note.start) * note.velocity;
+    }
+    return histogram;
+}
+
+// Estimate tonic and mode by correlating the histogram with rotated key profiles
+function detectKey(notes) {
+    const histogram = pitchClassHistogram(notes);
+    let best = { tonic: 0, mode: 'major', correlation: -Infinity };
+
+    for (let tonic = 0; tonic < 12; tonic++) {
+        const rotated = histogram.map((_, i) => histogram[(i + tonic) % 12]);
+        for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+            const correlation = correlate(rotated, profile);
+            if (correlation > best.correlation) {
+                best = { tonic, mode, correlation };
+            }
+        }
+    }
+
+    return { ...best, name: NOTE_NAMES[best.tonic].toUpperCase() };
+}
+
+// Move out-of-scale notes to the nearest scale tone, preferring the one below on a tie
+function snapToScale(notes, tonic, intervals) {
+    const inScale = (pitch) => intervals.includes(((pitch - tonic) % 12 + 12) % 12);
+
+    for (const note of notes) {
+        for (let distance = 0; distance <= 6; distance++) {
+            if (inScale(note.pitch - distance)) {
+                note.pitch -= distance;
+                break;
+            }
+            if (inScale(note.pitch + distance)) {
+                note.pitch += distance;
+                break;
+            }
+        }
+    }
+    return notes;
+}
+
+// Shift notes an octave when they jump away from both neighbours in the same direction
+function fixOctaves(notes) {
+    const sorted = [...notes].sort((a, b) => a.start - b.start);
+
+    for (let i = 1; i < sorted.length - 1; i++) {
+        const note = sorted[i];
+        const before = note.pitch - sorted[i - 1].pitch;
+        const after = note.pitch - sorted[i + 1].pitch;
+
+        if (Math.abs(before) < OCTAVE_JUMP_MIN || Math.abs(after) < OCTAVE_JUMP_MIN || Math.sign(before) !== Math.sign(after)) {
+            continue;
+        }
+
+        const shifted = note.pitch - 12 * Math.sign(before);
+        if (Math.abs(shifted - sorted[i - 1].pitch) <= OCTAVE_FIX_MAX_DISTANCE &&
+            Math.abs(shifted - sorted[i + 1].pitch) <= OCTAVE_FIX_MAX_DISTANCE &&
+            shifted >= 0 && shifted <= 127) {
+            note.pitch = shifted;
+        }
+    }
+    return sorted;
+}
+
+// Keep one sounding note at a time, choosing between overlapping notes by the given rule
+function reduceToSingleVoice(notes, rule) {
+    const score = {
+        highest: (note) => note.pitch,
+        lowest: (note) => -note.pitch,
+        salient: (note) => note.velocity * (note.end - note.start)
+    }[rule];
+
+    const sorted = [...notes].sort((a, b) => a.start - b.start);
+    const result = [];
+
+    for (const note of sorted) {
+        const last = result[result.length - 1];
+        if (!last || note.start >= last.end) {
+            result.push(note);
+        } else if (score(note) > score(last)) {
+            // The new note wins: cut the previous one short, or drop it if nothing is left
+            last.end = note.start;
+            if (last.end <= last.start) {
+                result.pop();
+            }
+            result.push(note);
+        }
+        // Otherwise the new note loses and is dropped
+    }
+    return result;
+}
+
+function processPitch(notes, options) {
+    const settings = { ...DEFAULT_PITCH_OPTIONS, ...options };
+    let result = notes.map(note => ({ ...note, bends: (note.bends || []).map(bend => ({ ...bend })) }));
+    let key = null;
+
+    if (settings['voice'] !== 'off') {
+        result = reduceToSingleVoice(result, settings['voice']);
+    }
+
+    if (settings['fix-octaves']) {
+        result = fixOctaves(result);
+    }
+
+    if (settings['snap-to-scale']) {
+        const detected = detectKey(result);
+        const tonic = settings['key'] === 'auto' ? detected.tonic : parseKeyName(settings['key']);
+        const scale = settings['scale'] === 'auto' ? detected.mode : settings['scale'];
+
+        key = { tonic: NOTE_NAMES[tonic].toUpperCase(), scale, detected: settings['key'] === 'auto' };
+        result = snapToScale(result, tonic, SCALES[scale]);
+    }
+
+    return { notes: result.sort((a, b) => a.start - b.start || a.pitch - b.pitch), key };
+}
+
+module.exports = {
+    NOTE_NAMES,
+    FLAT_NAMES,
+    SCALES,
+    DEFAULT_PITCH_OPTIONS,
+    parseKeyName,
+    pitchClassHistogram,
+    detectKey,
+    snapToScale,
+    fixOctaves,
+    reduceToSingleVoice,
+    processPitch
+};
@@ -0,0 +1,135 @@
+// Beat-based note scheduler that follows an external tempo/position (e.g. Max's transport)
+const EventEmitter = require('events');
+
+const TICK_INTERVAL_MS = 5;
+
+// Transport jumps larger than this are treated as a locate and don't flush the skipped notes
+const MAX_CATCH_UP_BEATS = 1;
+
+class NotePlayer extends EventEmitter {
+    constructor() {
+        super();
+        this.notes = []; // { pitch, velocity, onset_beats, duration_beats }, sorted by onset
+        this.lengthBeats = 0;
+        this.loop = false;
+        this.offsetBeats = 0;
+        this.speed = 1;
+        this.timer = null;
+
+        // Transport clock: a beat position anchored at a wall-clock time, advancing at bpm
+        this.bpm = 120;
+        this.synced = false; // Set once the patch sends a transport message
+        this.running = true;
+        this.anchorBeat = 0;
+        this.anchorTime = Date.now();
+
+        this.startBeat = 0; // Transport position when play started
+        this.lastVirtualBeat = 0; // Beats of playback already scheduled, counted from offsetBeats
+    }
+
+    get playing() {
+        return this.timer !== null;
+    }
+
+    load(notes, bpm) {
+        this.notes = [...notes].sort((a, b) => a.onset_beats - b.onset_beats);
+        this.lengthBeats = this.notes.reduce((max, note) => Math.max(max, note.onset_beats + note.duration_beats), 0);
+        // Free-running playback uses the transcription's tempo until the patch takes over
+        if (bpm && !this.synced) {
+            this.bpm = bpm;
+        }
+    }
+
+    transportBeat(now = Date.now()) {
+        if (!this.running) {
+            return this.anchorBeat;
+        }
+        return this.anchorBeat + ((now - this.anchorTime) * this.bpm) / 60000;
+    }
+
+    // Update the clock from the patch; position is in beats
+    setTransport(bpm, position, running = true) {
+        const now = Date.now();
+        this.anchorBeat = position === undefined ? this.transportBeat(now) : position;
+        this.anchorTime = now;
+        if (bpm > 0) {
+            this.bpm = bpm;
+        }
+        this.running = running;
+        this.synced = true;
+    }
+
+    play() {
+        this.stop();
+        this.startBeat = this.transportBeat();
+        this.lastVirtualBeat = 0;
+
+        // Emit anything sitting exactly at the start offset right away
+        this.emitRange(-1e-9, 0);
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.emit('stop');
+        }
+    }
+
+    tick() {
+        const virtualBeat = (this.transportBeat() - this.startBeat) * this.speed;
+
+        // A backwards or large forward jump relocates the playhead without a burst of notes
+        if (virtualBeat < this.lastVirtualBeat || virtualBeat - this.lastVirtualBeat > MAX_CATCH_UP_BEATS) {
+            this.lastVirtualBeat = virtualBeat;
+            return;
+        }
+
+        const regionLength = this.lengthBeats - this.offsetBeats;
+        if (!this.loop && virtualBeat >= regionLength) {
+            this.emitRange(this.lastVirtualBeat, regionLength);
+            this.stop();
+            this.emit('end');
+            return;
+        }
+
+        this.emitRange(this.lastVirtualBeat, virtualBeat);
+        this.lastVirtualBeat = virtualBeat;
+    }
+
+    // Emit notes whose onset falls in (from, to], both in virtual beats counted from offsetBeats
+    emitRange(from, to) {
+        const regionLength = this.lengthBeats - this.offsetBeats;
+        if (regionLength <= 0 || to <= from) {
+            return;
+        }
+
+        const firstCycle = this.loop ? Math.floor(Math.max(from, 0) / regionLength) : 0;
+        const lastCycle = this.loop ? Math.floor(to / regionLength) : 0;
+
+        for (let cycle = firstCycle; cycle <= lastCycle; cycle++) {
+            const cycleStart = cycle * regionLength;
+            if (cycle > 0 && cycleStart > from && cycleStart <= to) {
+                this.emit('loop', cycle);
+            }
+
+            for (const note of this.notes) {
+                if (note.onset_beats < this.offsetBeats) {
+                    continue;
+                }
+                const virtualOnset = cycleStart + note.onset_beats - this.offsetBeats;
+                if (virtualOnset > to) {
+                    break;
+                }
+                if (virtualOnset > from) {
+                    // Durations stretch with playback speed and follow the current tempo
+                    const durationMs = (note.duration_beats / this.speed) * (60000 / this.bpm);
+                    this.emit('note', note.pitch, note.velocity, Math.round(durationMs));
+                }
+            }
+        }
+    }
+}
+
+module.exports = NotePlayer;
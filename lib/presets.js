@@ -0,0 +1,79 @@
+// Named sets of daemon parameters. Built-in instrument presets ship with the package; user presets
+// and the name of the last one loaded are kept in a JSON file:
+// { "last": "bass", "presets": { "my-bass": { "min-frequency": 35, ... } } }
+const fs = require('fs');
+
+// Frequency ranges are the instrument's fundamentals with a little headroom
+const BUILTIN_PRESETS = {
+    'vocals': {
+        'min-frequency': 80,
+        'max-frequency': 1100,
+        'onset-threshold': 0.6,
+        'frame-threshold': 0.35,
+        'min-note-length': 0.1,
+        'use-melodia-trick': true,
+        'include-pitch-bends': true
+    },
+    'bass': {
+        'min-frequency': 30,
+        'max-frequency': 400,
+        'onset-threshold': 0.5,
+        'frame-threshold': 0.3,
+        'min-note-length': 0.08,
+        'use-melodia-trick': true,
+        'include-pitch-bends': false
+    },
+    'piano': {
+        'min-frequency': 27.5,
+        'max-frequency': 4186,
+        'onset-threshold': 0.5,
+        'frame-threshold': 0.3,
+        'min-note-length': 0.05,
+        'use-melodia-trick': false,
+        'include-pitch-bends': false
+    },
+    'guitar': {
+        'min-frequency': 80,
+        'max-frequency': 1400,
+        'onset-threshold': 0.5,
+        'frame-threshold': 0.3,
+        'min-note-length': 0.06,
+        'use-melodia-trick': true,
+        'include-pitch-bends': true
+    }
+};
+
+// Read the preset file; a missing file is an empty store
+function loadPresetStore(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { last: null, presets: {} };
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        last: typeof data.last === 'string' ? data.last : null,
+        presets: data.presets && typeof data.presets === 'object' ? data.presets : {}
+    };
+}
+
+function savePresetStore(filePath, store) {
+    fs.writeFileSync(filePath, JSON.stringify(store, null, 2) + '\n');
+}
+
+// Look a preset up by name, user presets first so they can shadow a built-in one
+function findPreset(store, name) {
+    if (Object.prototype.hasOwnProperty.call(store.presets, name)) {
+        return { name, params: store.presets[name], builtin: false };
+    }
+    if (Object.prototype.hasOwnProperty.call(BUILTIN_PRESETS, name)) {
+        return { name, params: BUILTIN_PRESETS[name], builtin: true };
+    }
+    return null;
+}
+
+module.exports = {
+    BUILTIN_PRESETS,
+    loadPresetStore,
+    savePresetStore,
+    findPreset
+};
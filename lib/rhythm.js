@@ -0,0 +1,103 @@
+// Rhythmic cleanup of transcribed notes: quantize, swing, overlap merging and note filtering.
+// Notes use the extractNotes shape from ./midi (start/end in seconds, bends with absolute times).
+
+const DEFAULT_RHYTHM_OPTIONS = {
+    'quantize-grid': 0, // Grid size in beats, 0 = no quantize
+    'quantize-strength': 1,
+    'swing': 0,
+    'merge-overlaps': false,
+    'velocity-floor': 0,
+    'min-ghost-length': 0, // ms
+    'velocity-curve': 1
+};
+
+function cloneNote(note) {
+    return { ...note, bends: (note.bends || []).map(bend => ({ ...bend })) };
+}
+
+// Move a note's start (and its bends) to a new time, keeping its duration
+function shiftNote(note, newStart) {
+    const delta = newStart - note.start;
+    note.start += delta;
+    note.end += delta;
+    for (const bend of note.bends) {
+        bend.time += delta;
+    }
+}
+
+// Snap an onset (in beats) toward the grid; swing delays every second grid line by up to a
+// third of the grid, so swing 1 gives a 2:1 triplet feel
+function quantizeBeat(beat, grid, strength, swing) {
+    const index = Math.round(beat / grid);
+    let target = index * grid;
+    if (index % 2 !== 0) {
+        target += (swing * grid) / 3;
+    }
+    return beat + (target - beat) * strength;
+}
+
+// Join same-pitch notes that overlap or touch into one note
+function mergeOverlaps(notes) {
+    const byPitch = new Map();
+    for (const note of notes) {
+        if (!byPitch.has(note.pitch)) {
+            byPitch.set(note.pitch, []);
+        }
+        byPitch.get(note.pitch).push(note);
+    }
+
+    const merged = [];
+    for (const group of byPitch.values()) {
+        group.sort((a, b) => a.start - b.start);
+        let current = group[0];
+
+        for (const note of group.slice(1)) {
+            if (note.start <= current.end) {
+                current.end = Math.max(current.end, note.end);
+                current.velocity = Math.max(current.velocity, note.velocity);
+                current.bends.push(...note.bends);
+            } else {
+                merged.push(current);
+                current = note;
+            }
+        }
+        merged.push(current);
+    }
+
+    return merged;
+}
+
+function processRhythm(notes, options, bpm) {
+    const settings = { ...DEFAULT_RHYTHM_OPTIONS, ...options };
+    const secondsPerBeat = 60 / bpm;
+    let result = notes.map(cloneNote);
+
+    result = result.filter(note => note.velocity >= settings['velocity-floor']);
+    result = result.filter(note => (note.end - note.start) * 1000 >= settings['min-ghost-length']);
+
+    if (settings['quantize-grid'] > 0) {
+        for (const note of result) {
+            const beat = quantizeBeat(note.start / secondsPerBeat, settings['quantize-grid'], settings['quantize-strength'], settings['swing']);
+            shiftNote(note, Math.max(0, beat * secondsPerBeat));
+        }
+    }
+
+    if (settings['merge-overlaps']) {
+        result = mergeOverlaps(result);
+    }
+
+    if (settings['velocity-curve'] !== 1) {
+        for (const note of result) {
+            note.velocity = Math.max(1, Math.round(127 * Math.pow(note.velocity / 127, settings['velocity-curve'])));
+        }
+    }
+
+    return result.sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+}
+
+module.exports = {
+    DEFAULT_RHYTHM_OPTIONS,
+    quantizeBeat,
+    mergeOverlaps,
+    processRhythm
+};
@@ -0,0 +1,63 @@
+// Audio sent from the patch as sample data rather than a file: begin, any number of appends with
+// interleaved values, then finish, which hands back the recording as a WAV the daemon can read.
+const { downmix, encodeWav } = require('./wav');
+
+class SampleRecorder {
+    constructor() {
+        this.sessions = new Map(); // name -> { sampleRate, channels, chunks, length }
+    }
+
+    begin(name, sampleRate = 44100, channels = 1) {
+        const rate = parseInt(sampleRate);
+        const channelCount = parseInt(channels);
+        if (!name || isNaN(rate) || rate <= 0 || isNaN(channelCount) || channelCount <= 0) {
+            throw new Error('samples_begin needs <name> <samplerate> <channels>');
+        }
+
+        this.sessions.set(String(name), { sampleRate: rate, channels: channelCount, chunks: [], length: 0 });
+        return { sampleRate: rate, channels: channelCount };
+    }
+
+    append(name, values) {
+        const session = this.sessions.get(String(name));
+        if (!session) {
+            throw new Error(`No samples_begin for: ${name}`);
+        }
+
+        const chunk = Float32Array.from(values, value => parseFloat(value) || 0);
+        session.chunks.push(chunk);
+        session.length += chunk.length;
+    }
+
+    // Returns whether there was anything to discard
+    cancel(name) {
+        return this.sessions.delete(String(name));
+    }
+
+    // End a session and encode what it received: { wav, frames }
+    finish(name) {
+        const session = this.sessions.get(String(name));
+        if (!session) {
+            throw new Error(`No samples_begin for: ${name}`);
+        }
+        this.sessions.delete(String(name));
+
+        const samples = new Float32Array(session.length);
+        let offset = 0;
+        for (const chunk of session.chunks) {
+            samples.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        if (samples.length < session.channels) {
+            throw new Error(`No samples received for: ${name}`);
+        }
+
+        // The daemon only reads mono and stereo, so anything wider is mixed down
+        const channels = session.channels > 2 ? 1 : session.channels;
+        const data = session.channels > 2 ? downmix(samples, session.channels) : samples;
+        return { wav: encodeWav(data, session.sampleRate, channels), frames: Math.round(data.length / channels) };
+    }
+}
+
+module.exports = SampleRecorder;
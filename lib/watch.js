@@ -0,0 +1,197 @@
+// Watch folders: each is polled for new audio files, which are handed to the engine once they stop
+// changing, so recordings still being written are left alone. Also the folder listing used by the
+// folder message. Console text, outlet messages and errors are 'post', 'outlet' and 'failure' events,
+// as for the daemon pool.
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// Audio extensions picked up by folder and watch when no filter is given
+const BATCH_DEFAULT_EXTENSIONS = ['.wav', '.aif', '.aiff', '.mp3', '.m4a', '.aac', '.flac', '.ogg'];
+
+// Watched folders are scanned this often; a new file is queued once its size and modification
+// time have held still for WATCH_STABLE_MS
+const WATCH_POLL_MS = 1000;
+const WATCH_STABLE_MS = 2000;
+
+// Intermediate files preprocessing writes next to the source
+function isTempAudioFile(name) {
+    return name.endsWith('.proc.wav') || name.endsWith('.dec.wav');
+}
+
+// Collect audio files in a folder, optionally descending into subfolders
+function findAudioFiles(dir, recursive, extensions) {
+    const files = [];
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        // Skip hidden files and our own preprocessing temp files
+        if (entry.name.startsWith('.') || isTempAudioFile(entry.name)) {
+            continue;
+        }
+
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) {
+                files.push(...findAudioFiles(entryPath, recursive, extensions));
+            }
+        } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(entryPath);
+        }
+    }
+
+    return files.sort();
+}
+
+class FolderWatcher extends EventEmitter {
+    // queueFile(filePath) queues a file and resolves with its job, or null if it couldn't be queued
+    constructor(queueFile) {
+        super();
+        this.queueFile = queueFile;
+        this.folders = new Map(); // resolved folder path -> watch state (see watch)
+    }
+
+    post(message, level = 'info') {
+        this.emit('post', message, level);
+    }
+
+    outlet(...args) {
+        this.emit('outlet', ...args);
+    }
+
+    reportError(code, message, context = {}) {
+        this.emit('failure', code, message, context);
+    }
+
+    // Start watching a folder. Files already there are left alone; new ones are queued once they
+    // stop changing, and with moveResults the source moves to done/ or failed/ when its job ends.
+    watch(dir, moveResults = false, extensions = []) {
+        const resolved = path.resolve(String(dir));
+        if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+            this.reportError('FILE_NOT_FOUND', `Folder not found: ${dir}`, { file: String(dir) });
+            return;
+        }
+
+        if (this.folders.has(resolved)) {
+            this.unwatch(resolved, false);
+        }
+
+        const watch = {
+            dir: resolved,
+            moveResults,
+            extensions: extensions.length > 0 ? extensions : BATCH_DEFAULT_EXTENSIONS,
+            seen: new Map(), // file path -> { size, mtimeMs, since, queued }
+            timer: null
+        };
+
+        for (const filePath of findAudioFiles(resolved, false, watch.extensions)) {
+            const stats = fs.statSync(filePath);
+            watch.seen.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, since: 0, queued: true });
+        }
+
+        watch.timer = setInterval(() => this.scan(watch), WATCH_POLL_MS);
+        this.folders.set(resolved, watch);
+
+        this.post(`👀 Watching ${resolved} for ${watch.extensions.join(' ')}${moveResults ? ', moving sources to done/ and failed/' : ''}`);
+        this.outlet('watching', ...this.folders.keys());
+    }
+
+    // Stop watching a folder, given as sent from Max or already resolved
+    unwatch(dir, report = true) {
+        const resolved = path.resolve(String(dir));
+        const watch = this.folders.get(resolved);
+        if (!watch) {
+            this.post(`Not watching: ${dir}`);
+            return;
+        }
+
+        clearInterval(watch.timer);
+        this.folders.delete(resolved);
+
+        if (report) {
+            this.post(`🙈 Stopped watching ${resolved}`);
+            this.outlet('watching', ...this.folders.keys());
+        }
+    }
+
+    // Queue files whose size and modification time have held still long enough. A file that
+    // changes after it was queued (recorded over, say) counts as new again.
+    scan(watch) {
+        if (!fs.existsSync(watch.dir)) {
+            this.reportError('FILE_NOT_FOUND', `Watched folder disappeared: ${watch.dir}`, { file: watch.dir });
+            this.unwatch(watch.dir);
+            return;
+        }
+
+        const now = Date.now();
+        const present = new Set();
+
+        for (const filePath of findAudioFiles(watch.dir, false, watch.extensions)) {
+            present.add(filePath);
+            let stats;
+            try {
+                stats = fs.statSync(filePath);
+            } catch (error) {
+                continue; // Moved or deleted since the directory was read
+            }
+
+            const entry = watch.seen.get(filePath);
+            if (!entry || entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+                watch.seen.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, since: now, queued: false });
+                continue;
+            }
+
+            if (!entry.queued && stats.size > 0 && now - entry.since >= WATCH_STABLE_MS) {
+                entry.queued = true;
+                this.queueWatched(watch, filePath);
+            }
+        }
+
+        for (const filePath of watch.seen.keys()) {
+            if (!present.has(filePath)) {
+                watch.seen.delete(filePath);
+            }
+        }
+    }
+
+    async queueWatched(watch, filePath) {
+        this.post(`👀 New file in watched folder: ${path.basename(filePath)}`);
+
+        let job = null;
+        try {
+            job = await this.queueFile(filePath);
+        } catch (error) {
+            this.reportError('INTERNAL', `Error queueing ${path.basename(filePath)}: ${error.message}`, { file: filePath });
+        }
+
+        const finished = job ? await job.done : null;
+        if (!watch.moveResults || (finished && finished.state === 'cancelled')) {
+            return;
+        }
+
+        const targetDir = path.join(watch.dir, finished && finished.state === 'done' ? 'done' : 'failed');
+        try {
+            if (!fs.existsSync(targetDir)) {
+                fs.mkdirSync(targetDir, { recursive: true });
+            }
+            const targetPath = path.join(targetDir, path.basename(filePath));
+            fs.renameSync(filePath, targetPath);
+            this.post(`📦 Moved ${path.basename(filePath)} to ${path.basename(targetDir)}/`);
+        } catch (error) {
+            this.post(`⚠️ Could not move ${path.basename(filePath)}: ${error.message}`, 'warn');
+        }
+    }
+
+    shutdown() {
+        for (const watch of this.folders.values()) {
+            clearInterval(watch.timer);
+        }
+        this.folders.clear();
+    }
+}
+
+module.exports = {
+    FolderWatcher,
+    findAudioFiles,
+    isTempAudioFile,
+    BATCH_DEFAULT_EXTENSIONS
+};
@@ -0,0 +1,568 @@
+// WAV/AIFF reading and WAV writing, so uncompressed audio can be brought to the format the
+// daemon expects (mono, 16-bit, 22050 Hz) without ffmpeg
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const DAEMON_SAMPLE_RATE = 22050;
+
+// Sinc zero crossings on each side of the resampling kernel (at the lower of the two rates)
+const RESAMPLE_ZERO_CROSSINGS = 8;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.slice(0, bytesRead);
+}
+
+// 80-bit IEEE 754 extended float, as used for the AIFF sample rate
+function readExtended(buffer, offset) {
+    const exponent = buffer.readUInt16BE(offset) & 0x7fff;
+    const sign = buffer[offset] & 0x80 ? -1 : 1;
+    const hi = buffer.readUInt32BE(offset + 2);
+    const lo = buffer.readUInt32BE(offset + 6);
+    if (exponent === 0 && hi === 0 && lo === 0) {
+        return 0;
+    }
+    return sign * (hi * Math.pow(2, exponent - 16383 - 31) + lo * Math.pow(2, exponent - 16383 - 63));
+}
+
+function inspectWav(fd, fileSize) {
+    const info = { container: 'wav', littleEndian: true };
+    let offset = 12;
+
+    while (offset + 8 <= fileSize) {
+        const header = readAt(fd, offset, 8);
+        const chunkId = header.toString('ascii', 0, 4);
+        const chunkSize = header.readUInt32LE(4);
+
+        if (chunkId === 'fmt ') {
+            const fmt = readAt(fd, offset + 8, Math.min(chunkSize, 40));
+            let formatTag = fmt.readUInt16LE(0);
+            info.channels = fmt.readUInt16LE(2);
+            info.sampleRate = fmt.readUInt32LE(4);
+            info.bitsPerSample = fmt.readUInt16LE(14);
+
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in the first two bytes of the sub-format GUID
+            if (formatTag === WAVE_FORMAT_EXTENSIBLE && fmt.length >= 26) {
+                formatTag = fmt.readUInt16LE(24);
+            }
+            info.encoding = formatTag === WAVE_FORMAT_PCM ? 'pcm' : formatTag === WAVE_FORMAT_IEEE_FLOAT ? 'float' : `format-${formatTag}`;
+        } else if (chunkId === 'data') {
+            info.dataOffset = offset + 8;
+            // Streams written without a final size report 0 or 0xffffffff; use what's on disk
+            info.dataLength = Math.min(chunkSize || Infinity, fileSize - offset - 8);
+            break;
+        }
+
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return info;
+}
+
+function inspectAiff(fd, fileSize, isAifc) {
+    const info = { container: 'aiff', littleEndian: false, encoding: 'pcm' };
+    let offset = 12;
+
+    while (offset + 8 <= fileSize) {
+        const header = readAt(fd, offset, 8);
+        const chunkId = header.toString('ascii', 0, 4);
+        const chunkSize = header.readUInt32BE(4);
+
+        if (chunkId === 'COMM') {
+            const comm = readAt(fd, offset + 8, Math.min(chunkSize, 26));
+            info.channels = comm.readUInt16BE(0);
+            info.bitsPerSample = comm.readUInt16BE(6);
+            info.sampleRate = readExtended(comm, 8);
+
+            if (isAifc && comm.length >= 22) {
+                const compression = comm.toString('ascii', 18, 22);
+                if (compression === 'sowt') {
+                    info.littleEndian = true;
+                } else if (compression === 'fl32' || compression === 'FL32') {
+                    info.encoding = 'float';
+                    info.bitsPerSample = 32;
+                } else if (compression === 'fl64' || compression === 'FL64') {
+                    info.encoding = 'float';
+                    info.bitsPerSample = 64;
+                } else if (compression !== 'NONE') {
+                    info.encoding = `compression-${compression}`;
+                }
+            }
+        } else if (chunkId === 'SSND') {
+            const dataStart = readAt(fd, offset + 8, 4).readUInt32BE(0);
+            info.dataOffset = offset + 16 + dataStart;
+            info.dataLength = Math.min(chunkSize - 8 - dataStart, fileSize - info.dataOffset);
+        }
+
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return info;
+}
+
+// Read the header of a WAV or AIFF file; returns null for anything else
+function inspectAudioFile(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const header = readAt(fd, 0, 12);
+        if (header.length < 12) {
+            return null;
+        }
+
+        const riff = header.toString('ascii', 0, 4);
+        const form = header.toString('ascii', 8, 12);
+        let info = null;
+
+        if ((riff === 'RIFF' || riff === 'RF64') && form === 'WAVE') {
+            info = inspectWav(fd, fileSize);
+        } else if (riff === 'FORM' && (form === 'AIFF' || form === 'AIFC')) {
+            info = inspectAiff(fd, fileSize, form === 'AIFC');
+        }
+
+        if (!info || !info.channels || !info.sampleRate || info.dataOffset === undefined) {
+            return null;
+        }
+
+        const bytesPerFrame = info.channels * Math.ceil(info.bitsPerSample / 8);
+        info.frames = Math.floor(info.dataLength / bytesPerFrame);
+        info.duration = info.frames / info.sampleRate;
+        info.supported = (info.encoding === 'pcm' && [8, 16, 24, 32].includes(info.bitsPerSample)) ||
+            (info.encoding === 'float' && [32, 64].includes(info.bitsPerSample));
+        return info;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// True when the file is already mono 16-bit PCM WAV at the daemon's rate
+function isDaemonReady(info) {
+    return info.container === 'wav' && info.encoding === 'pcm' && info.bitsPerSample === 16 &&
+        info.channels === 1 && info.sampleRate === DAEMON_SAMPLE_RATE;
+}
+
+function sampleReader(info) {
+    const bytes = info.bitsPerSample / 8;
+    const le = info.littleEndian;
+
+    if (info.encoding === 'float') {
+        return bytes === 4
+            ? (buf, o) => (le ? buf.readFloatLE(o) : buf.readFloatBE(o))
+            : (buf, o) => (le ? buf.readDoubleLE(o) : buf.readDoubleBE(o));
+    }
+
+    switch (info.bitsPerSample) {
+    case 8:
+        // 8-bit WAV is unsigned, 8-bit AIFF is signed
+        return info.container === 'wav' ? (buf, o) => (buf[o] - 128) / 128 : (buf, o) => buf.readInt8(o) / 128;
+    case 16:
+        return (buf, o) => (le ? buf.readInt16LE(o) : buf.readInt16BE(o)) / 32768;
+    case 24:
+        return (buf, o) => (le ? buf.readIntLE(o, 3) : buf.readIntBE(o, 3)) / 8388608;
+    default:
+        return (buf, o) => (le ? buf.readInt32LE(o) : buf.readInt32BE(o)) / 2147483648;
+    }
+}
+
+// Frames decoded per block; conversion holds a block or two in memory, never the whole file
+const FRAMES_PER_BLOCK = 65536;
+
+// Build a frame -> mono sample mapper for a channel selection: 'mix' (average of all
+// channels), 'left', 'right', 'mid', 'side' or a 1-based channel number
+function channelMapper(selection, channelCount) {
+    const last = channelCount - 1;
+
+    if (selection === undefined || selection === 'mix') {
+        return (values) => values.reduce((sum, value) => sum + value, 0) / channelCount;
+    }
+    if (selection === 'left') {
+        return (values) => values[0];
+    }
+    if (selection === 'right') {
+        return (values) => values[Math.min(1, last)];
+    }
+    if (selection === 'mid') {
+        return (values) => (values[0] + values[Math.min(1, last)]) / 2;
+    }
+    if (selection === 'side') {
+        return (values) => (values[0] - values[Math.min(1, last)]) / 2;
+    }
+
+    const index = parseInt(selection) - 1;
+    if (isNaN(index) || index < 0 || index > last) {
+        throw new Error(`Channel ${selection} not available in ${channelCount}-channel audio`);
+    }
+    return (values) => values[index];
+}
+
+// Decode a WAV/AIFF file a block at a time, calling onBlock with each block as a mono
+// Float32Array at the file's own sample rate. Options: channel (see channelMapper), start and
+// end in seconds.
+function decodeBlocks(filePath, info, options, onBlock) {
+    if (!info || !info.supported) {
+        throw new Error(`Unsupported audio encoding: ${info ? `${info.encoding} ${info.bitsPerSample}-bit` : 'not WAV or AIFF'}`);
+    }
+
+    const bytes = info.bitsPerSample / 8;
+    const frameSize = bytes * info.channels;
+    const read = sampleReader(info);
+    const toMono = channelMapper(options.channel, info.channels);
+
+    const firstFrame = Math.min(info.frames, Math.round((options.start || 0) * info.sampleRate));
+    const endFrame = options.end ? Math.min(info.frames, Math.round(options.end * info.sampleRate)) : info.frames;
+    if (endFrame <= firstFrame) {
+        throw new Error(`Empty region: ${options.start || 0}s to ${options.end}s of a ${info.duration.toFixed(2)}s file`);
+    }
+
+    const values = new Array(info.channels);
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        for (let frame = firstFrame; frame < endFrame; frame += FRAMES_PER_BLOCK) {
+            const count = Math.min(FRAMES_PER_BLOCK, endFrame - frame);
+            const block = readAt(fd, info.dataOffset + frame * frameSize, count * frameSize);
+            const output = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                for (let channel = 0; channel < info.channels; channel++) {
+                    values[channel] = read(block, i * frameSize + channel * bytes);
+                }
+                output[i] = toMono(values);
+            }
+            onBlock(output);
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Decode a whole WAV/AIFF file (or the region in options) to a mono Float32Array at its own sample rate
+function decodeAudioFile(filePath, info = inspectAudioFile(filePath), options = {}) {
+    const blocks = [];
+    decodeBlocks(filePath, info, options, (block) => blocks.push(block));
+
+    const output = new Float32Array(blocks.reduce((total, block) => total + block.length, 0));
+    let offset = 0;
+    for (const block of blocks) {
+        output.set(block, offset);
+        offset += block.length;
+    }
+    return { samples: output, sampleRate: info.sampleRate };
+}
+
+// Second-order Butterworth high- or low-pass (RBJ cookbook biquad). Returns a function that
+// filters a block in place, keeping its state from one block to the next.
+function createBiquad(type, frequency, sampleRate) {
+    const w0 = (2 * Math.PI * Math.min(frequency, sampleRate * 0.49)) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+
+    const b1 = (type === 'highpass' ? -(1 + cos) : 1 - cos) / a0;
+    const b0 = (type === 'highpass' ? (1 + cos) / 2 : (1 - cos) / 2) / a0;
+    const b2 = b0;
+    const a1 = (-2 * cos) / a0;
+    const a2 = (1 - alpha) / a0;
+
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    return (samples) => {
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            x2 = x1;
+            x1 = x;
+            y2 = y1;
+            y1 = y;
+            samples[i] = y;
+        }
+        return samples;
+    };
+}
+
+// Filter a whole array in place
+function biquad(samples, type, frequency, sampleRate) {
+    return createBiquad(type, frequency, sampleRate)(samples);
+}
+
+// Gain that brings audio with the given RMS to a target level in dBFS, limited so the peak
+// stays at or below -1 dBFS. 1 for silence.
+function normalizeGain(rms, peak, targetDb) {
+    if (rms === 0) {
+        return 1;
+    }
+    return Math.min(Math.pow(10, targetDb / 20) / rms, Math.pow(10, -1 / 20) / peak);
+}
+
+// Scale a whole array in place to a target RMS level in dBFS (see normalizeGain)
+function normalizeLoudness(samples, targetDb) {
+    let sumSquares = 0;
+    let peak = 0;
+    for (const sample of samples) {
+        sumSquares += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+    }
+
+    const gain = normalizeGain(Math.sqrt(sumSquares / Math.max(1, samples.length)), peak, targetDb);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] *= gain;
+    }
+    return samples;
+}
+
+// Band-limited resampling with a Hann-windowed sinc kernel, fed a block at a time. push()
+// returns the output samples that can be computed so far and finish() the rest; together
+// they match resample() on the whole input.
+function createResampler(fromRate, toRate) {
+    if (fromRate === toRate) {
+        return { push: (block) => block, finish: () => new Float32Array(0) };
+    }
+
+    const ratio = toRate / fromRate;
+    const cutoff = Math.min(1, ratio); // Low-pass at the lower Nyquist when downsampling
+    const halfWidth = Math.ceil(RESAMPLE_ZERO_CROSSINGS / cutoff);
+
+    let pending = new Float32Array(0); // Input not yet out of reach of the kernel
+    let pendingStart = 0; // Input index of pending[0]
+    let inputLength = 0;
+    let next = 0; // Next output index
+
+    const compute = (i, lastInput) => {
+        const center = i / ratio;
+        const first = Math.max(0, Math.floor(center) - halfWidth + 1);
+        const last = Math.min(lastInput, Math.floor(center) + halfWidth);
+        let sum = 0;
+
+        for (let j = first; j <= last; j++) {
+            const x = j - center;
+            const arg = Math.PI * x * cutoff;
+            const sinc = arg === 0 ? 1 : Math.sin(arg) / arg;
+            const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / halfWidth);
+            sum += pending[j - pendingStart] * sinc * cutoff * window;
+        }
+        return sum;
+    };
+
+    // Compute outputs up to (not including) end, then drop input no later output reaches
+    const drain = (end, lastInput) => {
+        const count = Math.max(0, end - next);
+        const output = new Float32Array(count);
+        for (let k = 0; k < count; k++) {
+            output[k] = compute(next + k, lastInput);
+        }
+        next += count;
+
+        const keepFrom = Math.max(pendingStart, Math.floor(next / ratio) - halfWidth + 1);
+        pending = pending.slice(keepFrom - pendingStart);
+        pendingStart = keepFrom;
+        return output;
+    };
+
+    return {
+        push(block) {
+            const joined = new Float32Array(pending.length + block.length);
+            joined.set(pending);
+            joined.set(block, pending.length);
+            pending = joined;
+            inputLength += block.length;
+
+            // Output i is ready once all of its kernel's input has arrived
+            let end = next;
+            while (Math.floor(end / ratio) + halfWidth <= inputLength - 1) {
+                end++;
+            }
+            return drain(end, inputLength - 1);
+        },
+        finish() {
+            return drain(Math.floor(inputLength * ratio), inputLength - 1);
+        }
+    };
+}
+
+function resample(input, fromRate, toRate) {
+    const resampler = createResampler(fromRate, toRate);
+    const head = resampler.push(input);
+    const tail = resampler.finish();
+    if (tail.length === 0) {
+        return head;
+    }
+
+    const output = new Float32Array(head.length + tail.length);
+    output.set(head);
+    output.set(tail, head.length);
+    return output;
+}
+
+// High/low-pass filters for the conversion options as one in-place block function. Two
+// biquad passes give a 24 dB/octave slope.
+function createFilterChain(options, sampleRate) {
+    const filters = [];
+    for (const type of ['highpass', 'lowpass']) {
+        if (options[type]) {
+            filters.push(createBiquad(type, options[type], sampleRate), createBiquad(type, options[type], sampleRate));
+        }
+    }
+    return (block) => filters.reduce((samples, filter) => filter(samples), block);
+}
+
+// Convert a WAV/AIFF file to mono 16-bit PCM WAV at the daemon's sample rate. The file is
+// decoded, filtered, resampled and written a block at a time, so long recordings don't have to
+// fit in memory; normalizing reads it twice, once to measure the level. Options: channel,
+// start, end (seconds), highpass/lowpass (Hz) and normalize (target RMS dBFS).
+function convertForDaemon(inputPath, outputPath, info = inspectAudioFile(inputPath), options = {}) {
+    const sampleRate = info ? info.sampleRate : 0;
+
+    let gain = 1;
+    if (options.normalize !== undefined && options.normalize !== null) {
+        const filter = createFilterChain(options, sampleRate);
+        let sumSquares = 0;
+        let peak = 0;
+        let count = 0;
+        decodeBlocks(inputPath, info, options, (block) => {
+            for (const sample of filter(block)) {
+                sumSquares += sample * sample;
+                peak = Math.max(peak, Math.abs(sample));
+            }
+            count += block.length;
+        });
+        gain = normalizeGain(Math.sqrt(sumSquares / Math.max(1, count)), peak, options.normalize);
+    }
+
+    const filter = createFilterChain(options, sampleRate);
+    const resampler = createResampler(Math.round(sampleRate), DAEMON_SAMPLE_RATE);
+    const fd = fs.openSync(outputPath, 'w');
+    try {
+        let dataSize = 0;
+        const write = (samples) => {
+            const encoded = encodeSamples(samples);
+            fs.writeSync(fd, encoded, 0, encoded.length, 44 + dataSize);
+            dataSize += encoded.length;
+        };
+
+        decodeBlocks(inputPath, info, options, (block) => {
+            filter(block);
+            if (gain !== 1) {
+                for (let i = 0; i < block.length; i++) {
+                    block[i] *= gain;
+                }
+            }
+            write(resampler.push(block));
+        });
+        write(resampler.finish());
+
+        // The header goes in last, once the data size is known
+        fs.writeSync(fd, wavHeader(dataSize, DAEMON_SAMPLE_RATE, 1), 0, 44, 0);
+    } catch (error) {
+        fs.closeSync(fd);
+        fs.unlinkSync(outputPath); // Don't leave a headerless file behind
+        throw error;
+    }
+    fs.closeSync(fd);
+    return outputPath;
+}
+
+// convertForDaemon on a worker thread (see convert-worker.js), so decoding and resampling a long
+// file doesn't hold up Max messages, the queue or note playback. Resolves with outputPath.
+function convertInWorker(inputPath, outputPath, info = inspectAudioFile(inputPath), options = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'convert-worker.js'), {
+            workerData: { inputPath, outputPath, info, options }
+        });
+        let settled = false;
+
+        worker.on('message', (message) => {
+            settled = true;
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                resolve(outputPath);
+            }
+        });
+        worker.on('error', (error) => {
+            settled = true;
+            reject(error);
+        });
+        worker.on('exit', (code) => {
+            if (!settled) {
+                reject(new Error(`Conversion worker exited with code ${code}`));
+            }
+        });
+    });
+}
+
+// Average interleaved channels down to a single channel
+function downmix(samples, channels) {
+    if (channels === 1) {
+        return samples;
+    }
+
+    const frames = Math.floor(samples.length / channels);
+    const mono = new Float32Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += samples[frame * channels + channel];
+        }
+        mono[frame] = sum / channels;
+    }
+    return mono;
+}
+
+// 44-byte header of a 16-bit PCM WAV file holding dataSize bytes of samples
+function wavHeader(dataSize, sampleRate, channels = 1) {
+    const buffer = Buffer.alloc(44);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * channels * 2, 28);
+    buffer.writeUInt16LE(channels * 2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    return buffer;
+}
+
+// Float samples (-1..1) as 16-bit little-endian PCM
+function encodeSamples(samples, count = samples.length) {
+    const buffer = Buffer.alloc(count * 2);
+    for (let i = 0; i < count; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i] || 0));
+        buffer.writeInt16LE(Math.round(sample < 0 ? sample * 32768 : sample * 32767), i * 2);
+    }
+    return buffer;
+}
+
+// Encode interleaved float samples (-1..1) as a 16-bit PCM WAV file buffer
+function encodeWav(samples, sampleRate, channels = 1) {
+    const frames = Math.floor(samples.length / channels);
+    const data = encodeSamples(samples, frames * channels);
+    return Buffer.concat([wavHeader(data.length, sampleRate, channels), data]);
+}
+
+module.exports = {
+    DAEMON_SAMPLE_RATE,
+    inspectAudioFile,
+    isDaemonReady,
+    decodeBlocks,
+    decodeAudioFile,
+    createBiquad,
+    biquad,
+    normalizeLoudness,
+    createResampler,
+    resample,
+    convertForDaemon,
+    convertInWorker,
+    downmix,
+    encodeWav
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeNotes, analyzePolyphony } = require('../lib/analysis');
+
+function note(pitch, start, end, velocity = 80) {
+    return { pitch, start, end, velocity, bends: [] };
+}
+
+// A C major scale as quarter notes at the given tempo, repeated
+function scale(bpm, repeats = 4) {
+    const beat = 60 / bpm;
+    const pitches = [60, 62, 64, 65, 67, 69, 71, 72];
+    const notes = [];
+    for (let i = 0; i < pitches.length * repeats; i++) {
+        notes.push(note(pitches[i % pitches.length], i * beat, (i + 0.9) * beat));
+    }
+    return notes;
+}
+
+test('reports range, key and a tempo that matches the flag', () => {
+    const report = analyzeNotes(scale(100), { flagBpm: 100 });
+
+    assert.strictEqual(report.count, 32);
+    assert.deepStrictEqual([report.pitch.lowest_name, report.pitch.highest_name, report.pitch.span], ['C4', 'C5', 12]);
+    assert.strictEqual(report.key.name, 'C major');
+    assert.strictEqual(report.tempo.estimate_bpm, 100);
+    assert.strictEqual(report.tempo.relation, 'match');
+    assert.deepStrictEqual(report.warnings, []);
+});
+
+test('warns when the tempo disagrees with the flag', () => {
+    const report = analyzeNotes(scale(100), { flagBpm: 137 });
+
+    assert.strictEqual(report.tempo.relation, 'differs');
+    assert.ok(report.warnings.some(warning => warning.includes('tempo-bpm 137')));
+});
+
+test('counts time at each polyphony level, with back-to-back notes not overlapping', () => {
+    const polyphony = analyzePolyphony([note(60, 0, 1), note(64, 0.5, 1), note(67, 1, 2)], 2, 1);
+
+    assert.strictEqual(polyphony.max, 2);
+    assert.deepStrictEqual(polyphony.histogram, [0, 1.5, 0.5]);
+    assert.deepStrictEqual(polyphony.max_curve, [2, 1]);
+});
+
+test('flags a sudden jump in note density', () => {
+    const notes = scale(120, 4); // 16 s at two notes a second
+    for (let i = 0; i < 20; i++) {
+        notes.push(note(90 + (i % 5), 8 + i * 0.045, 8 + i * 0.045 + 0.03));
+    }
+    const report = analyzeNotes(notes);
+
+    assert.deepStrictEqual(report.density.jumps.map(jump => jump.time_s), [8]);
+    assert.ok(report.warnings.some(warning => warning.startsWith('density jump at 8s')));
+});
+
+test('reports an empty transcription', () => {
+    assert.deepStrictEqual(analyzeNotes([]).warnings, ['no notes']);
+});
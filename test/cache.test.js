@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResultCache, hashFile } = require('../lib/cache');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'basic-pitch-cache-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let fileCounter = 0;
+
+// A stand-in MIDI file of the given size
+function midiFile(bytes) {
+    const filePath = path.join(dir, `source-${++fileCounter}.mid`);
+    fs.writeFileSync(filePath, Buffer.alloc(bytes, fileCounter));
+    return filePath;
+}
+
+function readIndex(cache) {
+    return JSON.parse(fs.readFileSync(cache.indexPath, 'utf8'));
+}
+
+test('hashes file contents', async () => {
+    const a = path.join(dir, 'a.wav');
+    const b = path.join(dir, 'b.wav');
+    fs.writeFileSync(a, 'same audio');
+    fs.writeFileSync(b, 'same audio');
+
+    assert.strictEqual(await hashFile(a), await hashFile(b));
+    assert.match(await hashFile(a), /^[0-9a-f]{64}$/);
+});
+
+test('keys differ by flags, preprocessing and chunking', () => {
+    const cache = new ResultCache(path.join(dir, 'keys'));
+    const base = cache.makeKey('hash', ['--onset-threshold', '0.6'], { start: 10 });
+
+    assert.strictEqual(base, cache.makeKey('hash', ['--onset-threshold', '0.6'], { start: 10 }, null));
+    assert.notStrictEqual(base, cache.makeKey('other', ['--onset-threshold', '0.6'], { start: 10 }));
+    assert.notStrictEqual(base, cache.makeKey('hash', ['--onset-threshold', '0.7'], { start: 10 }));
+    assert.notStrictEqual(base, cache.makeKey('hash', ['--onset-threshold', '0.6'], { start: 20 }));
+
+    const chunked = cache.makeKey('hash', ['--onset-threshold', '0.6'], { start: 10 }, { length: 60, overlap: 4 });
+    assert.notStrictEqual(base, chunked);
+    assert.notStrictEqual(chunked, cache.makeKey('hash', ['--onset-threshold', '0.6'], { start: 10 }, { length: 30, overlap: 4 }));
+    assert.notStrictEqual(chunked, cache.makeKey('hash', ['--onset-threshold', '0.6'], { start: 10 }, { length: 60, overlap: 2 }));
+});
+
+test('preprocess option order does not change the key', () => {
+    const cache = new ResultCache(path.join(dir, 'order'));
+    assert.strictEqual(
+        cache.makeKey('hash', [], { channel: 'left', normalize: -20 }),
+        cache.makeKey('hash', [], { normalize: -20, channel: 'left' }));
+});
+
+test('stores and looks up entries, counting hits and misses', () => {
+    const cache = new ResultCache(path.join(dir, 'lookup'));
+    assert.strictEqual(cache.lookup('missing'), null);
+
+    cache.store('key', midiFile(100), 'song.wav');
+    assert.strictEqual(fs.readFileSync(cache.lookup('key')).length, 100);
+    assert.deepStrictEqual([cache.stats().hits, cache.stats().misses, cache.stats().entries], [1, 1, 1]);
+
+    // A new instance reads the index back
+    assert.ok(new ResultCache(cache.dir).lookup('key'));
+});
+
+test('lookups update the index in memory until flushed', () => {
+    const cache = new ResultCache(path.join(dir, 'flush'));
+    cache.store('key', midiFile(10));
+
+    cache.lookup('key');
+    assert.strictEqual(readIndex(cache).key.hits, 0);
+    assert.ok(cache.dirty);
+
+    cache.flush();
+    assert.strictEqual(readIndex(cache).key.hits, 1);
+    assert.strictEqual(cache.dirty, false);
+});
+
+test('evicts the least recently used entries past the size limit', () => {
+    const cache = new ResultCache(path.join(dir, 'evict'), 250);
+    cache.store('a', midiFile(100));
+    cache.store('b', midiFile(100));
+    cache.entries.a.lastUsedAt -= 2000;
+    cache.entries.b.lastUsedAt -= 1000;
+
+    // Using a makes b the oldest, so b goes when c pushes the total past 250 bytes
+    cache.lookup('a');
+    cache.store('c', midiFile(100));
+
+    assert.deepStrictEqual(Object.keys(cache.entries).sort(), ['a', 'c']);
+    assert.strictEqual(fs.existsSync(cache.entryPath('b')), false);
+    assert.deepStrictEqual(Object.keys(readIndex(cache)).sort(), ['a', 'c']);
+});
+
+test('a limit of 0 turns caching off', () => {
+    const cache = new ResultCache(path.join(dir, 'off'));
+    cache.store('key', midiFile(10));
+
+    assert.strictEqual(cache.setLimit(0), 1);
+    assert.strictEqual(cache.enabled, false);
+    cache.store('other', midiFile(10));
+    assert.strictEqual(cache.lookup('other'), null);
+});
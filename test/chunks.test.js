@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planChunks, stitchChunk } = require('../lib/chunks');
+
+function note(pitch, start, end, velocity = 80) {
+    return { pitch, start, end, velocity, bends: [] };
+}
+
+test('plans overlapping chunks with seams in the middle of each overlap', () => {
+    const chunks = planChunks(0, 150, 60, 10);
+
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.start, chunk.end]), [[0, 60], [50, 110], [100, 150]]);
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.ownStart, chunk.ownEnd]), [[0, 55], [55, 105], [105, Infinity]]);
+});
+
+test('plans a single chunk for a region shorter than the chunk length', () => {
+    const chunks = planChunks(30, 45, 60, 10);
+
+    assert.strictEqual(chunks.length, 1);
+    assert.deepStrictEqual([chunks[0].start, chunks[0].end, chunks[0].ownStart, chunks[0].ownEnd], [30, 45, 30, Infinity]);
+});
+
+test('leaves notes past the seam to the next chunk', () => {
+    const [first, second] = planChunks(0, 110, 60, 10);
+    const stitched = stitchChunk([], [note(60, 10, 11), note(62, 57, 58)], first);
+    assert.deepStrictEqual(stitched.map(n => n.pitch), [60]);
+
+    stitchChunk(stitched, [note(62, 57, 58), note(64, 80, 81)], second, first);
+    assert.deepStrictEqual(stitched.map(n => [n.pitch, n.start]), [[60, 10], [62, 57], [64, 80]]);
+});
+
+test('extends a note cut off at the end of the previous chunk', () => {
+    const [first, second] = planChunks(0, 110, 60, 10);
+    const stitched = stitchChunk([], [note(60, 52, 60)], first);
+
+    // The next chunk hears it start a little later and carry on past the cut
+    const continued = note(60, 52.05, 63);
+    continued.bends.push({ time: 59, value: 100 }, { time: 61, value: 200 });
+    stitchChunk(stitched, [continued], second, first);
+
+    assert.strictEqual(stitched.length, 1);
+    assert.strictEqual(stitched[0].end, 63);
+    assert.deepStrictEqual(stitched[0].bends, [{ time: 61, value: 200 }]);
+});
+
+test('merges onsets detected on both sides of a seam', () => {
+    const [first, second] = planChunks(0, 110, 60, 10);
+    const stitched = stitchChunk([], [note(67, 54.97, 56, 70)], first);
+
+    stitchChunk(stitched, [note(67, 55.02, 56.5, 90)], second, first);
+
+    assert.strictEqual(stitched.length, 1);
+    assert.strictEqual(stitched[0].start, 54.97);
+    assert.strictEqual(stitched[0].end, 56.5);
+    assert.strictEqual(stitched[0].velocity, 90);
+});
+
+test('keeps separate notes of the same pitch apart', () => {
+    const [first, second] = planChunks(0, 110, 60, 10);
+    const stitched = stitchChunk([], [note(60, 20, 21)], first);
+
+    stitchChunk(stitched, [note(60, 70, 71)], second, first);
+    assert.deepStrictEqual(stitched.map(n => n.start), [20, 70]);
+});
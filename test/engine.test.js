@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BasicPitchEngine } = require('../lib/engine');
+const { readMidiNotes } = require('../lib/midi');
+const { encodeWav } = require('../lib/wav');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'basic-pitch-engine-'));
+process.env.BASIC_PITCH_DAEMON = path.join(__dirname, 'fake-daemon');
+
+const engine = new BasicPitchEngine({
+    tempDir: path.join(dir, 'temp'),
+    samplesDir: path.join(dir, 'samples'),
+    cacheDir: path.join(dir, 'cache'),
+    presetsFile: path.join(dir, 'presets.json')
+});
+const outlets = [];
+engine.on('outlet', (...args) => outlets.push(args));
+engine.cache.setLimit(0); // Every request reaches the daemon
+engine.start();
+
+test.after(() => {
+    engine.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A second of silence in the daemon's own format, named for how the fake daemon should answer
+function audioFile(name) {
+    const filePath = path.join(dir, `${name}.wav`);
+    fs.writeFileSync(filePath, encodeWav(new Float32Array(22050), 22050, 1));
+    return filePath;
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error('Timed out waiting');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('transcribes a file once the daemon is ready', async () => {
+    const result = await engine.transcribe(audioFile('tone'));
+
+    assert.ok(outlets.some(([name]) => name === 'daemon_ready'));
+    assert.strictEqual(result.state, 'done');
+    assert.strictEqual(result.midi, path.join(dir, 'tone.mid'));
+    assert.deepStrictEqual(readMidiNotes(result.midi).notes.map(note => note.pitch), [60]);
+    assert.ok(outlets.some(([name, , midiPath]) => name === 'processing_complete' && midiPath === result.midi));
+    assert.strictEqual(result.analysis.count, 1);
+    assert.ok(outlets.some(([name, report]) => name === 'analysis' && report.midi === result.midi));
+});
+
+test('a daemon error fails the job', async () => {
+    const filePath = audioFile('fail');
+    await assert.rejects(engine.transcribe(filePath), { code: 'INFERENCE_FAILED', message: /fake failure/ });
+    assert.ok(outlets.some(([name, code, , file]) => name === 'error' && code === 'INFERENCE_FAILED' && file === filePath));
+});
+
+test('progress follows the daemon\'s own progress lines', async () => {
+    await engine.transcribe(audioFile('slow'));
+    const progress = outlets.filter(([name, file]) => name === 'progress' && file === 'slow.wav');
+
+    assert.ok(progress.some(([, , fraction, etaMs]) => fraction === 0.5 && etaMs > 0));
+    assert.deepStrictEqual(progress[progress.length - 1], ['progress', 'slow.wav', 1, 0]);
+});
+
+test('a job past its timeout fails and the daemon is replaced', async () => {
+    engine.jobTimeoutBaseMs = 100;
+    engine.jobTimeoutPerSecondMs = 0;
+
+    const hung = engine.transcribe(audioFile('hang'));
+    await waitFor(() => [...engine.jobs.values()].some(job => job.fileName === 'hang.wav' && job.state === 'running'));
+    const pid = engine.daemon.process.pid;
+    await new Promise(resolve => setTimeout(resolve, 150));
+    engine.checkJobTimeouts();
+    await assert.rejects(hung, { code: 'TIMEOUT' });
+
+    engine.jobTimeoutBaseMs = 20000;
+    const result = await engine.transcribe(audioFile('after'));
+    assert.strictEqual(result.state, 'done');
+    assert.notStrictEqual(engine.daemon.process.pid, pid);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMidi, createTempoMap, extractNotes, writeMidi } = require('../lib/midi');
+
+// A Standard MIDI File from raw track bytes (delta times included)
+function smf(tracks, ticksPerBeat = 480) {
+    const header = Buffer.alloc(14);
+    header.write('MThd', 0, 'ascii');
+    header.writeUInt32BE(6, 4);
+    header.writeUInt16BE(tracks.length > 1 ? 1 : 0, 8);
+    header.writeUInt16BE(tracks.length, 10);
+    header.writeUInt16BE(ticksPerBeat, 12);
+
+    const chunks = tracks.map(bytes => {
+        const data = Buffer.from([...bytes, 0x00, 0xff, 0x2f, 0x00]);
+        const chunk = Buffer.alloc(8);
+        chunk.write('MTrk', 0, 'ascii');
+        chunk.writeUInt32BE(data.length, 4);
+        return Buffer.concat([chunk, data]);
+    });
+    return Buffer.concat([header, ...chunks]);
+}
+
+// Tempo meta event: microseconds per beat
+function tempo(delta, usPerBeat) {
+    return [delta, 0xff, 0x51, 0x03, (usPerBeat >> 16) & 0xff, (usPerBeat >> 8) & 0xff, usPerBeat & 0xff];
+}
+
+test('parses the header and track events', () => {
+    const midi = parseMidi(smf([[...tempo(0, 500000), 0x00, 0x90, 60, 100, 0x83, 0x60, 0x80, 60, 0]]));
+
+    assert.strictEqual(midi.format, 0);
+    assert.strictEqual(midi.ticksPerBeat, 480);
+    assert.deepStrictEqual(midi.tracks[0].map(event => event.type), ['tempo', 'noteOn', 'noteOff']);
+    assert.strictEqual(midi.tracks[0][2].tick, 480); // 0x83 0x60 is a variable-length 480
+});
+
+test('rejects files that are not Standard MIDI Files', () => {
+    assert.throws(() => parseMidi(Buffer.from('RIFF0000WAVEfmt ')), /Not a MIDI file/);
+});
+
+test('pairs notes and converts ticks to seconds through tempo changes', () => {
+    // One beat at 120 BPM, then 60 BPM from tick 480
+    const midi = parseMidi(smf([[
+        ...tempo(0, 500000),
+        0x00, 0x90, 60, 90,
+        0x83, 0x60, 0x80, 60, 0,
+        ...tempo(0, 1000000),
+        0x00, 0x90, 64, 80,
+        0x83, 0x60, 0x90, 64, 0 // Note-on with velocity 0 ends the note
+    ]]));
+    const { notes, tempoMap } = extractNotes(midi);
+
+    assert.strictEqual(tempoMap.bpm, 120);
+    assert.deepStrictEqual(notes.map(note => [note.pitch, note.velocity, note.start, note.end]), [
+        [60, 90, 0, 0.5],
+        [64, 80, 0.5, 1.5]
+    ]);
+});
+
+test('reads running status', () => {
+    const midi = parseMidi(smf([[0x00, 0x90, 60, 100, 0x00, 64, 100, 0x60, 60, 0, 0x00, 64, 0]]));
+    const { notes } = extractNotes(midi);
+
+    assert.deepStrictEqual(notes.map(note => [note.pitch, note.endTick]), [[60, 96], [64, 96]]);
+});
+
+test('attaches pitch bends to the notes sounding on their channel', () => {
+    const midi = parseMidi(smf([[
+        0x00, 0x90, 60, 100,
+        0x60, 0xe0, 0x00, 0x60, // +4096 = one semitone up with the default two-semitone range
+        0x60, 0x80, 60, 0,
+        0x00, 0xe0, 0x00, 0x40
+    ]]));
+    const { notes } = extractNotes(midi);
+
+    assert.strictEqual(notes.length, 1);
+    assert.deepStrictEqual(notes[0].bends.map(bend => [bend.tick, bend.semitones]), [[96, 1], [192, 0]]);
+});
+
+test('ends notes without a note-off at the end of their track', () => {
+    const midi = parseMidi(smf([[0x00, 0x90, 60, 100, 0x81, 0x40, 0xb0, 64, 127]]));
+    const { notes } = extractNotes(midi);
+
+    assert.strictEqual(notes[0].endTick, 192);
+});
+
+test('uses 120 BPM when the file has no tempo', () => {
+    const tempoMap = createTempoMap(parseMidi(smf([[0x00, 0x90, 60, 100, 0x60, 0x80, 60, 0]], 96)));
+
+    assert.strictEqual(tempoMap.bpm, 120);
+    assert.strictEqual(tempoMap.ticksToSeconds(96), 0.5);
+});
+
+test('writeMidi output reads back as the same notes and bends', () => {
+    const written = [
+        { pitch: 60, velocity: 100, start: 0, end: 0.5, bends: [{ time: 0.25, semitones: -1 }] },
+        { pitch: 60, velocity: 90, start: 0.5, end: 1, bends: [] }, // Retriggered on the same tick
+        { pitch: 67, velocity: 70, start: 0.75, end: 1.25, channel: 1, bends: [] }
+    ];
+    const { notes, tempoMap } = extractNotes(parseMidi(writeMidi(written, { bpm: 90 })));
+
+    assert.strictEqual(Math.round(tempoMap.bpm), 90);
+    assert.deepStrictEqual(notes.map(note => [note.pitch, note.velocity, note.channel]), [[60, 100, 0], [60, 90, 0], [67, 70, 1]]);
+    for (const [index, note] of notes.entries()) {
+        assert.ok(Math.abs(note.start - written[index].start) < 0.002);
+        assert.ok(Math.abs(note.end - written[index].end) < 0.002);
+    }
+    assert.deepStrictEqual(notes[0].bends.map(bend => bend.semitones), [-1]);
+});
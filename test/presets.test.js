@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BUILTIN_PRESETS, loadPresetStore, savePresetStore, findPreset } = require('../lib/presets');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'basic-pitch-presets-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('ships presets for the common instruments', () => {
+    assert.deepStrictEqual(Object.keys(BUILTIN_PRESETS).sort(), ['bass', 'guitar', 'piano', 'vocals']);
+    for (const params of Object.values(BUILTIN_PRESETS)) {
+        assert.ok(params['min-frequency'] < params['max-frequency']);
+    }
+});
+
+test('a missing preset file is an empty store', () => {
+    assert.deepStrictEqual(loadPresetStore(path.join(dir, 'missing.json')), { last: null, presets: {} });
+});
+
+test('saved presets load back', () => {
+    const filePath = path.join(dir, 'presets.json');
+    const store = { last: 'my-bass', presets: { 'my-bass': { 'min-frequency': 35, 'include-pitch-bends': false } } };
+
+    savePresetStore(filePath, store);
+    assert.deepStrictEqual(loadPresetStore(filePath), store);
+});
+
+test('ignores fields of the wrong type in a hand-edited file', () => {
+    const filePath = path.join(dir, 'edited.json');
+    fs.writeFileSync(filePath, JSON.stringify({ last: 3, presets: 'none' }));
+
+    assert.deepStrictEqual(loadPresetStore(filePath), { last: null, presets: {} });
+});
+
+test('finds user presets before built-in ones of the same name', () => {
+    const store = { last: null, presets: { 'bass': { 'min-frequency': 25 }, 'lead': { 'onset-threshold': 0.7 } } };
+
+    assert.deepStrictEqual(findPreset(store, 'bass'), { name: 'bass', params: { 'min-frequency': 25 }, builtin: false });
+    assert.deepStrictEqual(findPreset(store, 'piano'), { name: 'piano', params: BUILTIN_PRESETS.piano, builtin: true });
+    assert.strictEqual(findPreset(store, 'lead').builtin, false);
+    assert.strictEqual(findPreset(store, 'toString'), null);
+    assert.strictEqual(findPreset(store, 'drums'), null);
+});
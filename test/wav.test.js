@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DAEMON_SAMPLE_RATE, inspectAudioFile, isDaemonReady, decodeAudioFile, createBiquad, biquad, createResampler, resample, convertForDaemon, encodeWav } = require('../lib/wav');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'basic-pitch-wav-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Interleaved sine at the given frequency, the same on every channel
+function sine(frames, sampleRate, frequency, channels = 1, amplitude = 0.5) {
+    const samples = new Float32Array(frames * channels);
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels; channel++) {
+            samples[frame * channels + channel] = amplitude * Math.sin((2 * Math.PI * frequency * frame) / sampleRate);
+        }
+    }
+    return samples;
+}
+
+function writeFile(name, buffer) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+}
+
+// 16-bit big-endian AIFF; the rate is written as an 80-bit extended float
+function encodeAiff(samples, sampleRate, channels) {
+    const frames = samples.length / channels;
+    const comm = Buffer.alloc(26);
+    comm.write('COMM', 0, 'ascii');
+    comm.writeUInt32BE(18, 4);
+    comm.writeUInt16BE(channels, 8);
+    comm.writeUInt32BE(frames, 10);
+    comm.writeUInt16BE(16, 14);
+    const exponent = Math.floor(Math.log2(sampleRate));
+    comm.writeUInt16BE(16383 + exponent, 16);
+    comm.writeUInt32BE(sampleRate * Math.pow(2, 31 - exponent), 18);
+
+    const ssnd = Buffer.alloc(16 + samples.length * 2);
+    ssnd.write('SSND', 0, 'ascii');
+    ssnd.writeUInt32BE(8 + samples.length * 2, 4);
+    samples.forEach((sample, i) => ssnd.writeInt16BE(Math.round(sample * 32767), 16 + i * 2));
+
+    const form = Buffer.alloc(12);
+    form.write('FORM', 0, 'ascii');
+    form.writeUInt32BE(4 + comm.length + ssnd.length, 4);
+    form.write('AIFF', 8, 'ascii');
+    return Buffer.concat([form, comm, ssnd]);
+}
+
+function rms(samples) {
+    return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+}
+
+test('inspects WAV headers', () => {
+    const filePath = writeFile('stereo.wav', encodeWav(sine(44100, 44100, 440, 2), 44100, 2));
+    const info = inspectAudioFile(filePath);
+
+    assert.strictEqual(info.container, 'wav');
+    assert.strictEqual(info.encoding, 'pcm');
+    assert.strictEqual(info.channels, 2);
+    assert.strictEqual(info.sampleRate, 44100);
+    assert.strictEqual(info.bitsPerSample, 16);
+    assert.strictEqual(info.frames, 44100);
+    assert.strictEqual(info.duration, 1);
+    assert.ok(info.supported);
+    assert.strictEqual(isDaemonReady(info), false);
+});
+
+test('inspects AIFF headers', () => {
+    const info = inspectAudioFile(writeFile('mono.aif', encodeAiff(sine(4800, 48000, 440), 48000, 1)));
+
+    assert.strictEqual(info.container, 'aiff');
+    assert.strictEqual(info.littleEndian, false);
+    assert.strictEqual(info.sampleRate, 48000);
+    assert.strictEqual(info.frames, 4800);
+});
+
+test('returns null for files that are not WAV or AIFF', () => {
+    assert.strictEqual(inspectAudioFile(writeFile('text.wav', Buffer.from('not audio at all'))), null);
+});
+
+test('decodes across block boundaries', () => {
+    const source = sine(70000, 22050, 100);
+    const { samples, sampleRate } = decodeAudioFile(writeFile('long.wav', encodeWav(source, 22050, 1)));
+
+    assert.strictEqual(sampleRate, 22050);
+    assert.strictEqual(samples.length, source.length);
+    for (const i of [0, 65535, 65536, 69999]) {
+        assert.ok(Math.abs(samples[i] - source[i]) < 1 / 16384, `sample ${i}`);
+    }
+});
+
+test('the streaming resampler matches resampling the whole input', () => {
+    const input = sine(20000, 44100, 1000);
+    const whole = resample(input, 44100, DAEMON_SAMPLE_RATE);
+
+    const resampler = createResampler(44100, DAEMON_SAMPLE_RATE);
+    const parts = [];
+    for (let offset = 0; offset < input.length; offset += 777) {
+        parts.push(...resampler.push(input.subarray(offset, offset + 777)));
+    }
+    parts.push(...resampler.finish());
+
+    assert.strictEqual(whole.length, 10000);
+    assert.deepStrictEqual(Float32Array.from(parts), whole);
+});
+
+test('converts to mono 16-bit 22050 Hz, whatever the source rate', () => {
+    for (const rate of [44100, 48000, 8000]) {
+        const inputPath = writeFile(`in-${rate}.wav`, encodeWav(sine(rate, rate, 440, 2), rate, 2));
+        const outputPath = convertForDaemon(inputPath, path.join(dir, `out-${rate}.wav`));
+        const info = inspectAudioFile(outputPath);
+
+        assert.ok(isDaemonReady(info), `${rate} Hz`);
+        assert.strictEqual(info.sampleRate, DAEMON_SAMPLE_RATE);
+        assert.strictEqual(info.frames, DAEMON_SAMPLE_RATE);
+
+        // A 440 Hz tone passes through at its level (0.5 peak is 0.354 RMS)
+        const { samples } = decodeAudioFile(outputPath, info);
+        assert.ok(Math.abs(rms(samples.subarray(1000, 21000)) - 0.354) < 0.01, `${rate} Hz level`);
+    }
+});
+
+test('decodes a region of one channel', () => {
+    // Left is a tone, right is silent
+    const stereo = sine(22050, 22050, 440, 2);
+    for (let frame = 0; frame < 22050; frame++) {
+        stereo[frame * 2 + 1] = 0;
+    }
+    const filePath = writeFile('left.wav', encodeWav(stereo, 22050, 2));
+
+    const left = decodeAudioFile(filePath, undefined, { channel: 'left', start: 0.25, end: 0.75 }).samples;
+    assert.strictEqual(left.length, 11025);
+    assert.ok(rms(left) > 0.3);
+    assert.strictEqual(rms(decodeAudioFile(filePath, undefined, { channel: '2' }).samples), 0);
+    assert.throws(() => decodeAudioFile(filePath, undefined, { channel: '3' }), /Channel 3 not available/);
+    assert.throws(() => decodeAudioFile(filePath, undefined, { start: 2 }), /Empty region/);
+});
+
+test('filters keep their state from block to block', () => {
+    const input = sine(10000, 22050, 50);
+    const whole = biquad(Float32Array.from(input), 'highpass', 200, 22050);
+
+    const filter = createBiquad('highpass', 200, 22050);
+    const blocks = Float32Array.from(input);
+    for (let offset = 0; offset < blocks.length; offset += 1234) {
+        filter(blocks.subarray(offset, offset + 1234));
+    }
+
+    assert.deepStrictEqual(blocks, whole);
+    assert.ok(rms(whole.subarray(2000)) < 0.05); // 50 Hz is well below the cutoff
+});
+
+test('normalizes to the target level measured over the whole file', () => {
+    // Quiet first half, louder second half: the gain comes from both
+    const source = sine(44100, 22050, 440, 1, 0.05);
+    source.set(sine(22050, 22050, 440, 1, 0.2), 22050);
+    const inputPath = writeFile('uneven.wav', encodeWav(source, 22050, 1));
+    const outputPath = convertForDaemon(inputPath, path.join(dir, 'normalized.wav'), undefined, { normalize: -20 });
+
+    const { samples } = decodeAudioFile(outputPath);
+    assert.ok(Math.abs(20 * Math.log10(rms(samples)) + 20) < 0.1);
+    assert.ok(rms(samples.subarray(22050)) > 3.9 * rms(samples.subarray(0, 22050)));
+});
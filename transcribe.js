@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// Command-line entry point for the transcription engine in lib/engine.js, outside Max.
+// Takes the same parameters and per-file options as the flags and path messages:
+//
+//   node transcribe.js song.wav riff.aif --onset-threshold 0.6 --region 10-40 --export csv
+//
+// Prints each MIDI file's path (or a JSON report with --json) and exits with 1 if any file failed.
+const path = require('path');
+const { BasicPitchEngine, PARAMETER_SCHEMA, DAEMON_PARAMETERS } = require('./lib/engine');
+
+// Options that change the engine's settings rather than what each file is transcribed with
+const SETTING_OPTIONS = ['preset', 'outdir', 'filename', 'overwrite', 'ffmpeg', 'chunking', 'log-level', 'trace-log',
+    'postprocess', 'pitch'];
+const SWITCHES = ['preprocess', 'verbose', 'json', 'help'];
+
+function printUsage() {
+    console.log('Usage: node transcribe.js <audio_file>... [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --preset <name>        Start from a saved or built-in preset (vocals bass piano guitar)');
+    console.log('  --outdir <dir>         Folder for MIDI files (default: next to the source)');
+    console.log('  --filename <template>  MIDI name from {basename} {timestamp} {preset} {flags} {overrides}');
+    console.log('  --overwrite <policy>   overwrite, version or skip when the MIDI file exists');
+    console.log('  --ffmpeg <path>        ffmpeg binary to use (default: searched for)');
+    console.log('  --chunking <seconds>   Split files longer than this into chunks (0 = off)');
+    console.log('  --export <format>      Also write json, csv, coll, text or musicxml (repeatable)');
+    console.log('  --postprocess "<opts>" Write a .processed.mid, e.g. "quantize-grid 0.25 swing 0.3"');
+    console.log('  --pitch "<opts>"       Pitch cleanup for the .processed.mid, e.g. "snap-to-scale 1 voice highest"');
+    console.log('  --preprocess           Always run ffmpeg before transcribing');
+    console.log('  --start <s>, --end <s>, --region <a-b>, --channel <ch>, --normalize <dB>,');
+    console.log('  --filter <type>, --low <hz>, --high <hz>, --chunk <s>');
+    console.log('                         Per-file options, as for the path message');
+    console.log('  --json                 Print a JSON report instead of MIDI paths');
+    console.log('  --verbose              Show the engine\'s progress messages');
+    console.log('  --log-level <level>    Show messages down to error, warn, info, debug or trace');
+    console.log('  --trace-log <file>     Record raw daemon traffic in a rotating log file');
+    console.log('');
+    console.log('Parameters:');
+    for (const [param, info] of Object.entries(PARAMETER_SCHEMA)) {
+        const range = info.type === 'number' ? `[${info.min}-${info.max}]` : '[1/0]';
+        console.log(`  --${param.padEnd(20)} ${range.padEnd(12)} ${info.description}`);
+    }
+    console.log('');
+    console.log('The daemon binary is found as in Max; set BASIC_PITCH_DAEMON to use another one.');
+}
+
+// Split argv into files, daemon parameters, engine settings and per-file options
+function parseArgs(argv) {
+    const args = { files: [], params: [], settings: {}, options: {}, switches: new Set() };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args.files.push(arg);
+            continue;
+        }
+
+        const key = arg.slice(2);
+        if (SWITCHES.includes(key)) {
+            args.switches.add(key);
+            continue;
+        }
+        if (i + 1 >= argv.length) {
+            throw new Error(`Missing value for option: ${arg}`);
+        }
+
+        const value = argv[++i];
+        if (DAEMON_PARAMETERS.includes(key)) {
+            args.params.push(key, value);
+        } else if (SETTING_OPTIONS.includes(key)) {
+            args.settings[key] = value;
+        } else {
+            // Repeated per-file options (export, say) collect into a list
+            args.options[key] = key in args.options ? [].concat(args.options[key], value) : value;
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 2;
+    }
+    if (args.switches.has('help') || args.files.length === 0) {
+        printUsage();
+        return args.switches.has('help') ? 0 : 2;
+    }
+
+    const engine = new BasicPitchEngine();
+    const showPosts = args.switches.has('verbose') || args.settings['log-level'] !== undefined;
+    engine.on('post', message => {
+        if (showPosts) {
+            console.error(message);
+        }
+    });
+    // Shown even when quiet, since the failed transcriptions only say the daemon didn't start.
+    // Each request retries the start, so the same reason can come up more than once.
+    const startErrors = new Set();
+    // error <code> <request_id> <file> <message>
+    engine.on('outlet', (name, code, requestId, file, message) => {
+        if (name === 'error' && code === 'DAEMON_START_FAILED' && !showPosts && !startErrors.has(message)) {
+            startErrors.add(message);
+            console.error(`Error: ${code}: ${message}`);
+        }
+    });
+
+    try {
+        const { preset, outdir, filename, overwrite, ffmpeg, chunking } = args.settings;
+        if (args.settings['log-level'] !== undefined) engine.setLogLevel(args.settings['log-level']);
+        if (args.settings['trace-log'] !== undefined) engine.setTraceLog(args.settings['trace-log']);
+        if (outdir !== undefined) engine.setOutputDir(outdir);
+        if (filename !== undefined) engine.setFilenameTemplate(filename);
+        if (overwrite !== undefined) engine.setOverwritePolicy(overwrite);
+        if (ffmpeg !== undefined) engine.setFFmpegPath(ffmpeg);
+        if (chunking !== undefined) engine.setChunking(chunking);
+        // Same key/value lists as the postprocess and pitch messages, as one argument
+        if (args.settings.postprocess !== undefined) engine.setRhythmOptions(args.settings.postprocess.split(/\s+/).filter(Boolean));
+        if (args.settings.pitch !== undefined) engine.setPitchOptions(args.settings.pitch.split(/\s+/).filter(Boolean));
+
+        // Only what is given on the command line applies; the preset Max last used does not
+        engine.start({
+            preset: preset || null,
+            params: engine.parseMaxListToParams(args.params),
+            restorePreset: false
+        });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        engine.shutdown();
+        return 2;
+    }
+
+    const options = { ...args.options, preprocess: args.switches.has('preprocess') };
+    const results = await Promise.allSettled(args.files.map(file => engine.transcribe(path.resolve(file), options)));
+    engine.shutdown();
+
+    let failed = 0;
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            failed++;
+            console.error(`Error: ${args.files[index]}: ${result.reason.code || 'INTERNAL'}: ${result.reason.message}`);
+        } else if (!args.switches.has('json')) {
+            console.log(result.value.processed_midi || result.value.midi);
+        }
+    });
+    if (args.switches.has('json')) {
+        console.log(JSON.stringify(results.map((result, index) => result.status === 'fulfilled'
+            ? result.value
+            : { file: args.files[index], state: 'failed', code: result.reason.code || 'INTERNAL', error: result.reason.message }), null, 2));
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+main().then(code => process.exit(code));